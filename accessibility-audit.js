@@ -0,0 +1,271 @@
+// WCAG 2.1 checks that run inside the loaded Puppeteer page. Findings are grouped by
+// success criterion with a count and a few example selectors for the report
+
+// Criteria covered by the audit, in report order
+const WCAG_CRITERIA = {
+  '1.3.1': { name: 'Info and Relationships', level: 'A' },
+  '1.4.3': { name: 'Contrast (Minimum)', level: 'AA' },
+  '2.1.2': { name: 'No Keyboard Trap', level: 'A' },
+  '2.4.4': { name: 'Link Purpose (In Context)', level: 'A' },
+  '3.1.1': { name: 'Language of Page', level: 'A' },
+  '3.3.2': { name: 'Labels or Instructions', level: 'A' },
+  '4.1.2': { name: 'Name, Role, Value', level: 'A' }
+};
+
+// Example selectors kept per criterion
+const MAX_EXAMPLES = 5;
+
+// Tab presses before we stop looking for a keyboard trap
+const MAX_TAB_PRESSES = 40;
+
+// Focus stuck on one element for this many presses in a row counts as a trap
+const STUCK_FOCUS_PRESSES = 3;
+
+/**
+ * Run the accessibility audit on a loaded page
+ * @param {Object} page - Puppeteer page with the website loaded
+ * @returns {Promise<Object|null>} - { criteria: [{ criterion, name, level, count, examples }], totalIssues },
+ *   or null if the audit could not run
+ */
+async function auditAccessibility(page) {
+  try {
+    const results = await page.evaluate(runPageChecks, MAX_EXAMPLES);
+    results['2.1.2'] = await findKeyboardTraps(page);
+    return groupByCriterion(results);
+  } catch (error) {
+    console.error(`Accessibility audit failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Helper function to turn raw per-criterion results into the report shape
+function groupByCriterion(results) {
+  const criteria = Object.entries(WCAG_CRITERIA)
+    .map(([criterion, { name, level }]) => ({
+      criterion,
+      name,
+      level,
+      count: results[criterion] ? results[criterion].count : 0,
+      examples: results[criterion] ? results[criterion].examples.slice(0, MAX_EXAMPLES) : []
+    }))
+    .filter(group => group.count > 0);
+
+  return {
+    criteria,
+    totalIssues: criteria.reduce((sum, group) => sum + group.count, 0)
+  };
+}
+
+// Runs in the browser - must not reference anything outside its own body
+function runPageChecks(maxExamples) {
+  const results = {};
+  const record = (criterion, example) => {
+    results[criterion] = results[criterion] || { count: 0, examples: [] };
+    results[criterion].count++;
+    if (results[criterion].examples.length < maxExamples && !results[criterion].examples.includes(example)) {
+      results[criterion].examples.push(example);
+    }
+  };
+
+  // Short CSS selector for an element, e.g. "nav > ul > li:nth-of-type(2) > a"
+  const describe = (el) => {
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      let part = node.tagName.toLowerCase();
+      if (node.id) {
+        parts.unshift(`${part}#${CSS.escape(node.id)}`);
+        break;
+      }
+      const className = Array.from(node.classList).slice(0, 2).map(name => `.${CSS.escape(name)}`).join('');
+      if (className) {
+        part += className;
+      } else if (node.parentElement) {
+        const siblings = Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName);
+        if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      }
+      parts.unshift(part);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  const isVisible = (el) => {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+  };
+
+  const labelledByText = (el) => (el.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map(id => id && document.getElementById(id))
+    .filter(Boolean)
+    .map(labelEl => labelEl.textContent)
+    .join('')
+    .trim();
+
+  // Accessible name from ARIA attributes, title and image alt text
+  const hasAccessibleName = (el) => Boolean(
+    (el.getAttribute('aria-label') || '').trim() ||
+    labelledByText(el) ||
+    (el.getAttribute('title') || '').trim() ||
+    (el.textContent || '').trim() ||
+    Array.from(el.querySelectorAll('img[alt], [role="img"][aria-label], svg title'))
+      .some(img => (img.getAttribute('alt') || img.getAttribute('aria-label') || img.textContent || '').trim())
+  );
+
+  // 3.1.1 - page language
+  if (!document.documentElement.getAttribute('lang')) {
+    record('3.1.1', 'html');
+  }
+
+  // 1.3.1 - landmarks screen reader users navigate by
+  const landmarks = {
+    main: 'main, [role="main"]',
+    navigation: 'nav, [role="navigation"]',
+    banner: 'header, [role="banner"]',
+    contentinfo: 'footer, [role="contentinfo"]'
+  };
+  Object.entries(landmarks).forEach(([landmark, selector]) => {
+    if (!document.querySelector(selector)) record('1.3.1', `missing ${landmark} landmark`);
+  });
+
+  // 3.3.2 - form controls without a label
+  const controls = document.querySelectorAll(
+    'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea'
+  );
+  controls.forEach(control => {
+    if (!isVisible(control)) return;
+    const hasLabel = (control.id && document.querySelector(`label[for="${CSS.escape(control.id)}"]`)) ||
+      control.closest('label') ||
+      (control.getAttribute('aria-label') || '').trim() ||
+      labelledByText(control) ||
+      (control.getAttribute('title') || '').trim();
+    if (!hasLabel) record('3.3.2', describe(control));
+  });
+
+  // 2.4.4 - links with no text a screen reader can announce
+  document.querySelectorAll('a[href]').forEach(link => {
+    if (isVisible(link) && !hasAccessibleName(link)) record('2.4.4', describe(link));
+  });
+
+  // 4.1.2 - buttons with no accessible name
+  document.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]').forEach(button => {
+    if (!isVisible(button)) return;
+    const hasName = button.tagName === 'INPUT'
+      // Submit and reset buttons get a default label from the browser
+      ? Boolean((button.type === 'image' ? button.alt : button.value || (button.type === 'button' ? '' : button.type)).trim() ||
+        (button.getAttribute('aria-label') || '').trim())
+      : hasAccessibleName(button);
+    if (!hasName) record('4.1.2', describe(button));
+  });
+
+  // 1.4.3 - text contrast against the nearest solid background
+  const parseColor = (value) => {
+    const match = value.match(/rgba?\(([^)]+)\)/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const luminance = ({ r, g, b }) => {
+    const [red, green, blue] = [r, g, b].map(channel => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+  };
+  const backgroundOf = (el) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = window.getComputedStyle(node);
+      // Text over an image can't be judged from CSS colors alone
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) return color;
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+
+  const textElements = Array.from(document.body.querySelectorAll('*'))
+    .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'OPTION'].includes(el.tagName))
+    .filter(el => Array.from(el.childNodes).some(node => node.nodeType === 3 && node.textContent.trim()))
+    .slice(0, 500);
+
+  textElements.forEach(el => {
+    if (!isVisible(el)) return;
+    const style = window.getComputedStyle(el);
+    const foreground = parseColor(style.color);
+    const background = backgroundOf(el);
+    if (!foreground || !background || foreground.a === 0) return;
+
+    const lighter = Math.max(luminance(foreground), luminance(background));
+    const darker = Math.min(luminance(foreground), luminance(background));
+    const ratio = (lighter + 0.05) / (darker + 0.05);
+
+    // Large text (24px, or 18.66px bold) only needs 3:1
+    const fontSize = parseFloat(style.fontSize);
+    const isLarge = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+    if (ratio < (isLarge ? 3 : 4.5)) {
+      record('1.4.3', `${describe(el)} (${ratio.toFixed(2)}:1)`);
+    }
+  });
+
+  return results;
+}
+
+// Helper function to tab through the page and report where keyboard focus gets stuck
+async function findKeyboardTraps(page) {
+  const result = { count: 0, examples: [] };
+
+  await page.evaluate(() => {
+    if (document.activeElement) document.activeElement.blur();
+  });
+
+  const tabbableCount = await page.evaluate(() => Array.from(document.querySelectorAll(
+    'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])'
+  )).filter(el => !el.disabled && el.getClientRects().length > 0).length);
+
+  const visited = [];
+  let stuckPresses = 0;
+
+  for (let i = 0; i < Math.min(MAX_TAB_PRESSES, tabbableCount + 2); i++) {
+    await page.keyboard.press('Tab');
+    const focused = await page.evaluate(() => {
+      const el = document.activeElement;
+      if (!el || el === document.body || el === document.documentElement) return null;
+      // Mark the element so we recognize it again on the next press
+      if (!el.dataset.a11yFocusId) el.dataset.a11yFocusId = String(Math.random()).slice(2);
+      const label = el.id ? `${el.tagName.toLowerCase()}#${el.id}` : el.tagName.toLowerCase() +
+        (el.className && typeof el.className === 'string' ? `.${el.className.trim().split(/\s+/).slice(0, 2).join('.')}` : '');
+      return { id: el.dataset.a11yFocusId, label };
+    });
+
+    // Focus left the page content, so the last element let it go
+    if (!focused) return result;
+
+    const previous = visited[visited.length - 1];
+    if (previous && previous.id === focused.id) {
+      stuckPresses++;
+      if (stuckPresses + 1 >= STUCK_FOCUS_PRESSES) {
+        result.count++;
+        result.examples.push(focused.label);
+        return result;
+      }
+      continue;
+    }
+    stuckPresses = 0;
+
+    // Focus cycled back without reaching the end of the page - trapped in a small loop
+    const loopStart = visited.findIndex(entry => entry.id === focused.id);
+    if (loopStart !== -1 && visited.length - loopStart < tabbableCount / 2) {
+      result.count++;
+      result.examples.push(visited[loopStart].label);
+      return result;
+    }
+
+    visited.push(focused);
+  }
+
+  return result;
+}
+
+module.exports = { auditAccessibility, WCAG_CRITERIA };
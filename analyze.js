@@ -7,12 +7,15 @@ async function main() {
   const location = process.argv[3];
 
   if (!searchQuery || !location) {
-    console.log('Usage: node analyze.js "<search query>" "<location>"');
+    console.log('Usage: node analyze.js "<search query>" "<location>" [--lighthouse] [--crawl]');
     console.log('Example: node analyze.js "restaurants" "New York, NY"');
     process.exit(1);
   }
 
-  const analyzer = new WebsiteAnalyzer(searchQuery);
+  const analyzer = new WebsiteAnalyzer(searchQuery, {
+    lighthouse: process.argv.includes('--lighthouse'),
+    crawl: process.argv.includes('--crawl')
+  });
   const contactTracker = new BusinessContactTracker(searchQuery);
 
   try {
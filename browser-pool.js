@@ -0,0 +1,110 @@
+const puppeteer = require('puppeteer');
+
+// Same launch settings evaluateWebsite has always used - certificate errors must stay
+// visible so the SSL checks can report them
+const DEFAULT_LAUNCH_OPTIONS = {
+  headless: 'new',
+  defaultViewport: { width: 1366, height: 768 },
+  timeout: 60000
+};
+
+class BrowserPool {
+  /**
+   * One shared Chromium with a cap on the number of open tabs
+   * @param {Object} [options] - Pool options
+   * @param {number} [options.maxPages] - Maximum number of tabs open at once
+   * @param {Object} [options.launchOptions] - Puppeteer launch options merged over the defaults
+   */
+  constructor(options = {}) {
+    this.maxPages = options.maxPages || 3;
+    this.launchOptions = { ...DEFAULT_LAUNCH_OPTIONS, ...options.launchOptions };
+    this.browser = null;
+    this.launching = null;
+    this.openPages = 0;
+    this.waiting = [];
+  }
+
+  async getBrowser() {
+    // Relaunch if Chromium crashed or was closed underneath us
+    if (this.browser && this.browser.isConnected()) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = puppeteer.launch(this.launchOptions)
+        .then(browser => {
+          this.browser = browser;
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+    return this.launching;
+  }
+
+  /**
+   * Open a new tab, waiting for a free slot when the pool is full.
+   * Every page must be handed back with releasePage
+   * @returns {Promise<Object>} - Puppeteer page
+   */
+  async acquirePage() {
+    if (this.openPages >= this.maxPages) {
+      // freeSlot hands its slot straight to us, so openPages stays the same
+      await new Promise(resolve => this.waiting.push(resolve));
+    } else {
+      this.openPages++;
+    }
+
+    try {
+      const browser = await this.getBrowser();
+      return await browser.newPage();
+    } catch (error) {
+      this.freeSlot();
+      throw error;
+    }
+  }
+
+  async releasePage(page) {
+    try {
+      if (!page.isClosed()) await page.close();
+    } catch (error) {
+      console.error(`Error closing page: ${error.message}`);
+    } finally {
+      this.freeSlot();
+    }
+  }
+
+  /**
+   * Run a function with a pooled page and release the page afterwards
+   * @param {Function} fn - Async function called with the page
+   * @returns {Promise<*>} - Whatever fn returns
+   */
+  async withPage(fn) {
+    const page = await this.acquirePage();
+    try {
+      return await fn(page);
+    } finally {
+      await this.releasePage(page);
+    }
+  }
+
+  freeSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.openPages--;
+    }
+  }
+
+  async close() {
+    if (this.launching) await this.launching.catch(() => null);
+    if (this.browser) {
+      await this.browser.close().catch(err => console.error(`Error closing browser: ${err.message}`));
+      this.browser = null;
+    }
+  }
+}
+
+module.exports = BrowserPool;
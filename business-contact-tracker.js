@@ -1,6 +1,10 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { createObjectCsvWriter } = require('csv-writer');
+const { SCORE_CATEGORIES } = require('./website-evaluator');
+const { summarizeTechnologies, TECHNOLOGY_CATEGORIES } = require('./tech-fingerprint');
+const { formatContactDetails } = require('./contact-details');
+const { formatListingDetails, LISTING_FIELDS } = require('./maps-scraper');
 
 class BusinessContactTracker {
   constructor(searchQuery) {
@@ -18,26 +22,47 @@ class BusinessContactTracker {
         { id: 'name', title: 'Business Name' },
         { id: 'phoneNumber', title: 'Phone Number' },
         { id: 'address', title: 'Address' },
+        { id: 'emails', title: 'Emails' },
+        { id: 'websitePhones', title: 'Website Phone Numbers' },
+        { id: 'contactForms', title: 'Contact Form URLs' },
+        { id: 'socialProfiles', title: 'Social Profiles' },
         { id: 'websiteScore', title: 'Website Score' },
+        ...Object.entries(SCORE_CATEGORIES).map(([key, { label }]) => ({ id: `${key}Score`, title: `${label} Score` })),
+        ...Object.entries(TECHNOLOGY_CATEGORIES).map(([key, label]) => ({ id: `${key}Technology`, title: label })),
         { id: 'reportPath', title: 'Report Path' },
         { id: 'category', title: 'Category' },
         { id: 'location', title: 'Location' },
-        { id: 'websiteUrl', title: 'Website URL' }
+        { id: 'websiteUrl', title: 'Website URL' },
+        ...Object.entries(LISTING_FIELDS).map(([key, label]) => ({ id: key, title: label }))
       ]
     });
   }
 
   async addBusinesses(businesses) {
-    const records = businesses.map(business => ({
-      name: business.name || '',
-      phoneNumber: business.phoneNumber || '',
-      address: business.address || '',
-      websiteScore: business.websiteScore || 'N/A',
-      reportPath: business.reportPath || '',
-      category: business.category || '',
-      location: business.location || '',
-      websiteUrl: business.websiteUrl || ''
-    }));
+    const records = businesses.map(business => {
+      const technologies = summarizeTechnologies(business.technologies);
+      const contact = formatContactDetails(business.contactDetails);
+      return {
+        name: business.name || '',
+        phoneNumber: business.phoneNumber || '',
+        address: business.address || '',
+        emails: contact.emails,
+        websitePhones: contact.phones,
+        contactForms: contact.contactForms,
+        socialProfiles: contact.socialProfiles,
+        websiteScore: business.websiteScore || 'N/A',
+        ...Object.fromEntries(Object.keys(SCORE_CATEGORIES).map(key => [
+          `${key}Score`,
+          business.categoryScores && typeof business.categoryScores[key] === 'number' ? business.categoryScores[key] : 'N/A'
+        ])),
+        ...Object.fromEntries(Object.keys(TECHNOLOGY_CATEGORIES).map(key => [`${key}Technology`, technologies[key]])),
+        reportPath: business.reportPath || '',
+        category: business.category || '',
+        location: business.location || '',
+        websiteUrl: business.websiteUrl || '',
+        ...formatListingDetails(business)
+      };
+    });
 
     await this.csvWriter.writeRecords(records);
     console.log(`CSV file updated: ${this.csvPath}`);
@@ -0,0 +1,131 @@
+// Extracts the ways to reach a business from its website: email addresses, phone
+// numbers, contact form pages and social media profiles
+
+// Same patterns the contact check has always used to spot a phone number in page text
+const PHONE_PATTERNS = [/(\+\d{1,2}\s)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}/g, /\d{3}-\d{3}-\d{4}/g];
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// Things that look like email addresses but aren't (retina image names, template placeholders)
+const FAKE_EMAIL_PATTERN = /\.(png|jpe?g|gif|svg|webp)$|@(example|domain|email|yourdomain|sentry)\./i;
+
+// Social networks we collect profiles for, by link host
+const SOCIAL_NETWORKS = {
+  facebook: /(^|\.)facebook\.com$/,
+  instagram: /(^|\.)instagram\.com$/,
+  twitter: /(^|\.)(twitter|x)\.com$/,
+  linkedin: /(^|\.)linkedin\.com$/,
+  youtube: /(^|\.)youtube\.com$/,
+  tiktok: /(^|\.)tiktok\.com$/,
+  yelp: /(^|\.)yelp\.com$/,
+  pinterest: /(^|\.)pinterest\.com$/
+};
+
+// Share buttons and embeds link to a network without being the business's profile
+const SHARE_LINK_PATTERN = /sharer|\/share|intent\/tweet|\/plugins\/|\/embed\/|\/dialog\//i;
+
+// Helper function to format a US phone number consistently so duplicates collapse
+const normalizePhone = (value) => {
+  const digits = value.replace(/\D/g, '');
+  const local = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  return local.length === 10 ? `(${local.slice(0, 3)}) ${local.slice(3, 6)}-${local.slice(6)}` : value.trim();
+};
+
+// Helper function to decode a mailto:/tel: href, keeping it as written when its escapes are malformed
+const decodeHref = (href) => {
+  try {
+    return decodeURIComponent(href);
+  } catch (error) {
+    return href;
+  }
+};
+
+/**
+ * Extract contact details from one page
+ * @param {Object} $ - Cheerio root of the page
+ * @param {string} pageUrl - URL of the page
+ * @param {string} text - Visible text of the page (document.body.innerText)
+ * @returns {Object} - { emails, phones, contactForms, socialProfiles }
+ */
+function extractContactDetails($, pageUrl, text) {
+  const emails = new Set();
+  const phones = new Set();
+  const socialProfiles = {};
+
+  $('a[href^="mailto:" i]').each((i, el) => {
+    const address = decodeHref($(el).attr('href').replace(/^mailto:/i, '').split('?')[0]).trim();
+    if (address) emails.add(address.toLowerCase());
+  });
+  (text.match(EMAIL_PATTERN) || []).forEach(address => emails.add(address.toLowerCase()));
+
+  $('a[href^="tel:" i]').each((i, el) => {
+    const number = decodeHref($(el).attr('href').replace(/^tel:/i, '')).trim();
+    if (number.replace(/\D/g, '').length >= 7) phones.add(normalizePhone(number));
+  });
+  PHONE_PATTERNS.forEach(pattern => {
+    (text.match(pattern) || []).forEach(number => phones.add(normalizePhone(number)));
+  });
+
+  $('a[href]').each((i, el) => {
+    let url;
+    try {
+      url = new URL($(el).attr('href'), pageUrl);
+    } catch (error) {
+      return;
+    }
+    if (SHARE_LINK_PATTERN.test(url.pathname + url.search) || url.pathname === '/') return;
+
+    const network = Object.keys(SOCIAL_NETWORKS).find(name => SOCIAL_NETWORKS[name].test(url.hostname));
+    if (network && !socialProfiles[network]) {
+      socialProfiles[network] = `${url.origin}${url.pathname}`.replace(/\/$/, '');
+    }
+  });
+
+  // A contact form asks for an email, a phone number or a message - search boxes don't count
+  const hasContactForm = $('form').toArray().some(form => {
+    const $form = $(form);
+    if ($form.attr('role') === 'search') return false;
+    return $form.find('input[type="email"], input[type="tel"], textarea, input[name*="email" i], input[name*="phone" i]').length > 0;
+  });
+
+  return {
+    emails: [...emails].filter(address => !FAKE_EMAIL_PATTERN.test(address)),
+    phones: [...phones],
+    contactForms: hasContactForm ? [pageUrl] : [],
+    socialProfiles
+  };
+}
+
+/**
+ * Combine the contact details of every evaluated page, without duplicates
+ * @param {Array<Object>} detailsList - Results of extractContactDetails
+ * @returns {Object} - { emails, phones, contactForms, socialProfiles }
+ */
+function mergeContactDetails(detailsList) {
+  const unique = (key) => [...new Set(detailsList.flatMap(details => details[key]))];
+  return {
+    emails: unique('emails'),
+    phones: unique('phones'),
+    contactForms: unique('contactForms'),
+    // The first page that links a network (usually the homepage) wins
+    socialProfiles: Object.assign({}, ...[...detailsList].reverse().map(details => details.socialProfiles))
+  };
+}
+
+/**
+ * Flatten contact details into strings for CSV columns
+ * @param {Object} [contactDetails] - Merged contact details
+ * @returns {Object} - { emails, phones, contactForms, socialProfiles } as "; "-separated strings
+ */
+function formatContactDetails(contactDetails) {
+  if (!contactDetails) {
+    return { emails: '', phones: '', contactForms: '', socialProfiles: '' };
+  }
+  return {
+    emails: contactDetails.emails.join('; '),
+    phones: contactDetails.phones.join('; '),
+    contactForms: contactDetails.contactForms.join('; '),
+    socialProfiles: Object.values(contactDetails.socialProfiles).join('; ')
+  };
+}
+
+module.exports = { extractContactDetails, mergeContactDetails, formatContactDetails, SOCIAL_NETWORKS, SHARE_LINK_PATTERN };
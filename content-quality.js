@@ -0,0 +1,155 @@
+// Quality of the visible copy across the evaluated pages: word counts, leftover template
+// placeholders, boilerplate repeated between pages, reading level, and whether the
+// business's city and category (from the Maps search) are ever mentioned
+
+// Pages with fewer visible words than this are thin
+const THIN_CONTENT_WORDS = 250;
+
+// Paragraphs shorter than this are too generic to count as duplicated boilerplate
+const MIN_DUPLICATE_WORDS = 20;
+
+// Template and page builder text that should never reach a live site
+const PLACEHOLDER_PATTERNS = [
+  /lorem ipsum|dolor sit amet/i,
+  /your (company|business) name( here)?/i,
+  /company name here/i,
+  /sample page/i,
+  /this is an example page/i,
+  /just another wordpress site/i,
+  /hello world!/i,
+  /(insert|add|enter|type) your (text|content|title|heading) here/i,
+  /your (text|title|heading|content|address) (goes )?here/i,
+  /click (here )?to edit/i,
+  /edit this text/i,
+  /\(?123\)?[ .-]?456[ .-]7890/,
+  /555[ .-]555[ .-]5555/,
+  /(info|email|contact)@(yourdomain|example|yourcompany)\./i
+];
+
+// Words from Maps search categories that say nothing about the business itself
+const GENERIC_CATEGORY_WORDS = ['local', 'small', 'best', 'home', 'real', 'services', 'service', 'companies', 'company', 'agencies', 'agency', 'businesses', 'business'];
+
+// Other ways sites describe what they do, keyed by the singular category word
+const CATEGORY_SYNONYMS = {
+  lawyer: ['attorney', 'law firm', 'legal'],
+  dentist: ['dental', 'dentistry', 'orthodont'],
+  plumber: ['plumbing'],
+  restaurant: ['menu', 'dining', 'cuisine'],
+  bakery: ['bakeries', 'baked', 'pastr', 'bread'],
+  accountant: ['accounting', 'cpa', 'bookkeeping', 'tax'],
+  winery: ['wine', 'vineyard', 'tasting room'],
+  construction: ['contractor', 'builder', 'remodel'],
+  realtor: ['real estate', 'homes for sale', 'listings'],
+  agent: ['real estate', 'realtor', 'listings'],
+  care: ['caregiver', 'in-home', 'senior']
+};
+
+// Helper function to list the words of a text (tokens with at least one letter)
+const getWords = (text) => (text || '').match(/[a-z0-9'’-]*[a-z][a-z0-9'’-]*/gi) || [];
+
+// Helper function to estimate the syllables of an English word
+const countSyllables = (word) => {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+  const groups = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return groups ? groups.length : 1;
+};
+
+// Helper function to singularize a category word, e.g. "bakeries" -> "bakery", "lawyers" -> "lawyer"
+const singularize = (word) => word.replace(/ies$/, 'y').replace(/([^s])s$/, '$1');
+
+// Helper function to collect the main-content paragraphs of a page, leaving out navigation and footers
+const getParagraphs = ($) => $('p, li, blockquote, td')
+  .filter((i, el) => $(el).closest('header, footer, nav, aside').length === 0 && $(el).children('p, li, ul, ol, table').length === 0)
+  .map((i, el) => $(el).text().replace(/\s+/g, ' ').trim())
+  .get()
+  .filter(Boolean);
+
+/**
+ * Flesch-Kincaid grade level of a text
+ * @param {Array<string>} paragraphs - Paragraphs of running text
+ * @returns {number|null} - US school grade, or null when there isn't enough text
+ */
+function getReadingGrade(paragraphs) {
+  const sentences = paragraphs
+    .flatMap(paragraph => paragraph.split(/[.!?]+(?:\s|$)/))
+    .map(getWords)
+    .filter(words => words.length >= 3);
+  const words = sentences.flat();
+  if (sentences.length < 3 || words.length < 50) return null;
+
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const grade = 0.39 * (words.length / sentences.length) + 11.8 * (syllables / words.length) - 15.59;
+  return Math.round(Math.max(0, grade) * 10) / 10;
+}
+
+// Helper function to work out the business's city from the search location, or the Maps address
+function getCity(business) {
+  const location = (business.location || '').split(',')[0].trim();
+  if (location && !/^(local|unknown location)$/i.test(location)) return location;
+
+  // "123 Main St, Palm Springs, CA 92262" - the city is the part before the state
+  const parts = (business.address || '').split(',').map(part => part.trim()).filter(Boolean);
+  return parts.length >= 3 ? parts[parts.length - 2] : null;
+}
+
+// Helper function to check whether the copy mentions the business category (or a synonym)
+function findCategoryMention(category, text) {
+  const words = category.toLowerCase().split(/\s+/).map(singularize)
+    .filter(word => word.length > 2 && !GENERIC_CATEGORY_WORDS.includes(word));
+  const terms = [...new Set([...words, ...words.flatMap(word => CATEGORY_SYNONYMS[word] || [])])];
+  if (terms.length === 0) return null;
+  return terms.find(term => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i').test(text)) || false;
+}
+
+/**
+ * Analyze the copy of the evaluated pages
+ * @param {Array<Object>} pages - Evaluated pages (homepage first) with `url`, `$` and visible `text`
+ * @param {Object} [business] - Maps listing `{ category, location, address }`; without one the city
+ *   and category checks are skipped
+ * @returns {Object} - { pages: [{ url, wordCount, thin }], placeholders: [{ url, text }], duplicates: [{ text, urls }],
+ *   readingGrade, city: { name, mentioned } | null, category: { name, mentioned } | null }
+ */
+function analyzeContentQuality(pages, business) {
+  const placeholders = [];
+  pages.forEach(page => {
+    const text = `${page.$('title').text()}\n${page.text}`;
+    PLACEHOLDER_PATTERNS.forEach(pattern => {
+      const match = text.match(pattern);
+      if (match) placeholders.push({ url: page.url, text: match[0] });
+    });
+  });
+
+  // Substantial paragraphs that repeat between pages or within one page
+  const occurrences = new Map();
+  pages.forEach(page => {
+    getParagraphs(page.$)
+      .filter(paragraph => getWords(paragraph).length >= MIN_DUPLICATE_WORDS)
+      .forEach(paragraph => {
+        const key = paragraph.toLowerCase();
+        if (!occurrences.has(key)) occurrences.set(key, { text: paragraph, urls: [] });
+        occurrences.get(key).urls.push(page.url);
+      });
+  });
+  const duplicates = [...occurrences.values()].filter(entry => entry.urls.length > 1)
+    .map(({ text, urls }) => ({ text, urls: [...new Set(urls)] }));
+
+  const allText = pages.map(page => page.text).join('\n');
+  const city = business ? getCity(business) : null;
+  const category = business && business.category ? business.category : null;
+  const categoryMention = category ? findCategoryMention(category, allText) : null;
+
+  return {
+    pages: pages.map(page => {
+      const wordCount = getWords(page.text).length;
+      return { url: page.url, wordCount, thin: wordCount < THIN_CONTENT_WORDS };
+    }),
+    placeholders,
+    duplicates,
+    readingGrade: getReadingGrade(pages.flatMap(page => getParagraphs(page.$))),
+    city: city ? { name: city, mentioned: allText.toLowerCase().includes(city.toLowerCase()) } : null,
+    category: category && categoryMention !== null ? { name: category, mentioned: Boolean(categoryMention) } : null
+  };
+}
+
+module.exports = { analyzeContentQuality, getReadingGrade, PLACEHOLDER_PATTERNS, THIN_CONTENT_WORDS };
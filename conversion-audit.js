@@ -0,0 +1,163 @@
+// Conversion readiness: can a visitor who wants to buy act right away? Checks for a
+// call-to-action in the first screen on desktop and mobile, tappable phone numbers,
+// booking/chat/quote tools, and a call or booking action one tap away on mobile
+
+// Link and button text that asks the visitor to act, by kind of action
+const CTA_PATTERNS = {
+  call: /^call\b|call (us|now|today)|\bphone us\b/i,
+  book: /\bbook\b|schedule|appointment|reserv|consultation/i,
+  quote: /quote|estimate|pricing/i,
+  contact: /contact us|get in touch|get started|request|sign up|order|buy|shop now|free (trial|consult)/i
+};
+
+// Kinds of CTA that finish the action in one tap, rather than leading to another page
+const DIRECT_CTA_KINDS = ['call', 'book'];
+
+// Booking/scheduling and live chat tools, matched against script, iframe and link URLs
+const BOOKING_TOOLS = {
+  Calendly: /calendly\.com/,
+  Acuity: /acuityscheduling\.com|as\.me\//,
+  'Square Appointments': /squareup\.com\/appointments|square\.site\/book/,
+  Setmore: /setmore\.com/,
+  Zocdoc: /zocdoc\.com/,
+  OpenTable: /opentable\.com/,
+  Resy: /resy\.com/,
+  Vagaro: /vagaro\.com/,
+  Mindbody: /mindbodyonline\.com|healcode\.com/,
+  Booksy: /booksy\.com/,
+  Fresha: /fresha\.com/,
+  Housecall: /housecallpro\.com/,
+  Jobber: /getjobber\.com/,
+  LocalMed: /localmed\.com/,
+  NexHealth: /nexhealth\.com/,
+  SimplyBook: /simplybook\.(me|it)/,
+  YouCanBookMe: /youcanbook\.me/
+};
+const CHAT_TOOLS = {
+  Intercom: /intercom(cdn)?\.(io|com)|widget\.intercom/,
+  Drift: /drift\.com|driftt\.com/,
+  'Tawk.to': /tawk\.to/,
+  LiveChat: /livechatinc\.com/,
+  Crisp: /crisp\.chat/,
+  Zendesk: /zopim\.com|zdassets\.com/,
+  'HubSpot Chat': /usemessages\.com/,
+  Olark: /olark\.com/,
+  Tidio: /tidio\.co/,
+  Podium: /podium\.com/,
+  Birdeye: /birdeye\.com/,
+  Ngage: /ngageics\.com|ngage\.net/,
+  ApexChat: /apexchat\.(com|net)/
+};
+
+// Forms that ask for a quote, estimate or consultation (by their text, or the page they're on)
+const QUOTE_FORM_PATTERN = /quote|estimate|consultation|appointment request/i;
+
+// Helper function to list the tools from `tools` whose URL pattern appears on any page
+const findTools = (tools, pages) => Object.keys(tools).filter(name => pages.some(page => {
+  const urls = page.$('script[src], iframe[src], a[href], link[href]')
+    .map((i, el) => page.$(el).attr('src') || page.$(el).attr('href')).get();
+  return urls.some(url => tools[name].test(url));
+}));
+
+// Runs in the browser - lists the CTAs visible in the first screen at the current viewport
+function findVisibleCtas(patterns) {
+  const compiled = Object.entries(patterns).map(([kind, [source, flags]]) => [kind, new RegExp(source, flags)]);
+  const results = [];
+
+  document.querySelectorAll('a, button, input[type="submit"], input[type="button"], [role="button"]').forEach(el => {
+    const text = (el.innerText || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+    const href = el.getAttribute('href') || '';
+    let kind = /^tel:/i.test(href) ? 'call' : null;
+    if (!kind && text.length > 0 && text.length <= 40) {
+      const match = compiled.find(([, pattern]) => pattern.test(text));
+      kind = match ? match[0] : null;
+    }
+    if (!kind) return;
+
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    const visible = rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && Number(style.opacity) > 0;
+    const aboveFold = rect.top < window.innerHeight && rect.bottom > 0 && rect.left < window.innerWidth;
+
+    // Fixed or sticky bars stay on screen while scrolling
+    let pinned = false;
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      if (/fixed|sticky/.test(getComputedStyle(node).position)) {
+        pinned = true;
+        break;
+      }
+    }
+
+    if (visible && (aboveFold || pinned)) {
+      results.push({ text: text || href, kind, pinned });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Find the calls-to-action visible without scrolling on desktop and on a phone-sized viewport.
+ * Leaves the page at the desktop viewport, scrolled to the top
+ * @param {Object} page - Puppeteer page with the homepage loaded
+ * @returns {Promise<Object|null>} - { desktop, mobile } lists of { text, kind, pinned }, or null on failure
+ */
+async function findAboveFoldCtas(page) {
+  // RegExps can't be passed into the page, so send their source and flags
+  const patterns = Object.fromEntries(Object.entries(CTA_PATTERNS).map(([kind, pattern]) => [kind, [pattern.source, pattern.flags]]));
+  try {
+    await page.evaluate(() => window.scrollTo(0, 0));
+    const desktop = await page.evaluate(findVisibleCtas, patterns);
+
+    await page.setViewport({ width: 375, height: 667 });
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await page.evaluate(() => window.scrollTo(0, 0));
+    const mobile = await page.evaluate(findVisibleCtas, patterns);
+
+    await page.setViewport({ width: 1366, height: 768 });
+    return { desktop, mobile };
+  } catch (error) {
+    console.error(`CTA check failed for ${page.url()}: ${error.message}`);
+    await page.setViewport({ width: 1366, height: 768 }).catch(() => null);
+    return null;
+  }
+}
+
+/**
+ * Combine the above-the-fold CTAs with what the evaluated pages offer
+ * @param {Object|null} ctas - Result of findAboveFoldCtas for the homepage
+ * @param {Array<Object>} pages - Evaluated pages (homepage first) with `$`, `url` and `contactDetails`
+ * @returns {Object} - { ctaAboveFold: { desktop, mobile }, oneTapAction, phones: { shown, untappable },
+ *   booking, chat, quoteForm }
+ */
+function auditConversion(ctas, pages) {
+  const firstCta = (list) => (list && list.length > 0 ? list[0].text : null);
+  const direct = ctas ? ctas.mobile.find(cta => DIRECT_CTA_KINDS.includes(cta.kind)) : null;
+
+  // Phone numbers shown in the text that no tel: link on the same page dials
+  const untappable = pages.flatMap(page => {
+    const linked = page.$('a[href^="tel:" i]')
+      .map((i, el) => page.$(el).attr('href').replace(/\D/g, '').slice(-10)).get();
+    return page.contactDetails.phones.filter(phone => !linked.includes(phone.replace(/\D/g, '').slice(-10)));
+  });
+
+  const quoteFormPage = pages.find(page => page.$('form').toArray().some(form => {
+    const $form = page.$(form);
+    return $form.attr('role') !== 'search' && $form.find('input, textarea').length > 1 &&
+      (QUOTE_FORM_PATTERN.test($form.text()) || QUOTE_FORM_PATTERN.test(new URL(page.url).pathname));
+  }));
+
+  return {
+    ctaAboveFold: ctas ? { desktop: firstCta(ctas.desktop), mobile: firstCta(ctas.mobile) } : null,
+    oneTapAction: direct ? direct.text : null,
+    phones: {
+      shown: [...new Set(pages.flatMap(page => page.contactDetails.phones))].length,
+      untappable: [...new Set(untappable)]
+    },
+    booking: findTools(BOOKING_TOOLS, pages),
+    chat: findTools(CHAT_TOOLS, pages),
+    quoteForm: quoteFormPage ? quoteFormPage.url : null
+  };
+}
+
+module.exports = { findAboveFoldCtas, auditConversion, BOOKING_TOOLS, CHAT_TOOLS };
@@ -0,0 +1,135 @@
+// "Looks like 2008" heuristics - markup and styling that modern sites no longer use.
+// Each detected signal comes with evidence from the page; the Design category score
+// built from them is the design-age score
+
+// Signals in report order
+const DESIGN_SIGNALS = {
+  'table-layout': 'Table-based layout',
+  'fixed-width-layout': 'Fixed-width page container',
+  'flash-content': 'Flash or plugin embeds',
+  'marquee-blink': 'Scrolling or blinking text',
+  'frames': 'Frames',
+  'tiny-font': 'Tiny body text',
+  'web-safe-fonts': 'Only web-safe fonts',
+  'no-flex-grid': 'No flexbox or grid layout',
+  'autoplay-audio': 'Autoplaying audio'
+};
+
+// Fixed containers of the 960px grid era
+const FIXED_WIDTH_RANGE = { min: 740, max: 1010 };
+
+// Body text smaller than this reads as dated (and hard to read)
+const MIN_BODY_FONT_SIZE = 14;
+
+// Elements inspected for flex/grid, so huge pages don't stall the check
+const MAX_LAYOUT_ELEMENTS = 3000;
+
+/**
+ * Look for dated design signals on the loaded page (desktop viewport)
+ * @param {Object} page - Puppeteer page with the website loaded
+ * @returns {Promise<Object|null>} - { signals: [{ id, label, evidence }] }, or null if the check could not run
+ */
+async function analyzeDesignAge(page) {
+  try {
+    const detected = await page.evaluate(runDesignChecks, {
+      fixedWidth: FIXED_WIDTH_RANGE,
+      minFontSize: MIN_BODY_FONT_SIZE,
+      maxElements: MAX_LAYOUT_ELEMENTS
+    });
+    return {
+      signals: Object.keys(DESIGN_SIGNALS)
+        .filter(id => detected[id])
+        .map(id => ({ id, label: DESIGN_SIGNALS[id], evidence: detected[id] }))
+    };
+  } catch (error) {
+    console.error(`Design age check failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Runs in the browser - returns evidence strings keyed by signal id for every signal found
+function runDesignChecks({ fixedWidth, minFontSize, maxElements }) {
+  const detected = {};
+  const viewportWidth = window.innerWidth;
+
+  // Layout tables: big tables without headers, or tables nested in tables
+  const layoutTables = Array.from(document.querySelectorAll('table')).filter(table => {
+    if (table.querySelector('th, caption')) return false;
+    const { width, height } = table.getBoundingClientRect();
+    return (width >= viewportWidth * 0.5 && height >= 300) || table.querySelector('table') !== null;
+  });
+  if (layoutTables.length > 0) {
+    detected['table-layout'] = `${layoutTables.length} layout table${layoutTables.length > 1 ? 's' : ''}, ${layoutTables.filter(table => table.querySelector('table')).length} nested`;
+  }
+
+  // A wide-viewport page squeezed into a ~960px box that doesn't use max-width
+  const containers = Array.from(document.querySelectorAll('body > *, body > * > *')).filter(el => {
+    const { width, height } = el.getBoundingClientRect();
+    return width >= fixedWidth.min && width <= fixedWidth.max && height >= 400 &&
+      getComputedStyle(el).maxWidth === 'none';
+  });
+  if (containers.length > 0 && viewportWidth > fixedWidth.max) {
+    const container = containers[0];
+    detected['fixed-width-layout'] = `<${container.tagName.toLowerCase()}${container.id ? `#${container.id}` : ''}> is ${Math.round(container.getBoundingClientRect().width)}px wide on a ${viewportWidth}px screen`;
+  }
+
+  const plugins = Array.from(document.querySelectorAll('object, embed, applet')).filter(el => {
+    const source = `${el.getAttribute('type') || ''} ${el.getAttribute('data') || ''} ${el.getAttribute('src') || ''}`;
+    return el.tagName === 'APPLET' || /flash|\.swf|x-shockwave|java/i.test(source);
+  });
+  if (plugins.length > 0) {
+    detected['flash-content'] = `${plugins.length} Flash/Java embed${plugins.length > 1 ? 's' : ''}`;
+  }
+
+  const marquees = document.querySelectorAll('marquee, blink').length;
+  if (marquees > 0) {
+    detected['marquee-blink'] = `${marquees} <marquee>/<blink> element${marquees > 1 ? 's' : ''}`;
+  }
+
+  const frames = document.querySelectorAll('frameset, frame').length;
+  if (frames > 0) {
+    detected['frames'] = `${frames} <frameset>/<frame> element${frames > 1 ? 's' : ''}`;
+  }
+
+  // Font size of most of the visible text, weighted by text length
+  const sizes = {};
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  let textNode;
+  while ((textNode = walker.nextNode())) {
+    const text = textNode.textContent.trim();
+    const parent = textNode.parentElement;
+    if (text.length < 20 || !parent || parent.closest('script, style, noscript')) continue;
+    const size = Math.round(parseFloat(getComputedStyle(parent).fontSize));
+    sizes[size] = (sizes[size] || 0) + text.length;
+  }
+  const [mainSize] = Object.entries(sizes).sort(([, a], [, b]) => b - a)[0] || [];
+  if (mainSize && Number(mainSize) < minFontSize) {
+    detected['tiny-font'] = `Most text is ${mainSize}px`;
+  }
+
+  // Body and heading fonts all from the classic web-safe list, and no web fonts loaded
+  const webSafe = /^(arial|helvetica|verdana|tahoma|geneva|times|times new roman|georgia|trebuchet ms|courier|courier new|comic sans ms|lucida grande|lucida sans unicode|serif|sans-serif|monospace)$/;
+  const stacks = [document.body, document.querySelector('h1, h2')].filter(Boolean)
+    .map(el => getComputedStyle(el).fontFamily);
+  const families = stacks.flatMap(stack => stack.split(',').map(name => name.trim().replace(/["']/g, '').toLowerCase()));
+  const webFonts = Array.from(document.fonts || []).filter(font => font.status === 'loaded');
+  if (families.length > 0 && families.every(name => webSafe.test(name)) && webFonts.length === 0) {
+    detected['web-safe-fonts'] = `Fonts: ${[...new Set(stacks)].join(' / ')}`;
+  }
+
+  const elements = Array.from(document.body.getElementsByTagName('*')).slice(0, maxElements);
+  const usesModernLayout = elements.some(el => /flex|grid/.test(getComputedStyle(el).display));
+  if (!usesModernLayout && elements.length > 20) {
+    detected['no-flex-grid'] = `None of ${elements.length} elements use flexbox or grid`;
+  }
+
+  const autoplay = Array.from(document.querySelectorAll('audio[autoplay], video[autoplay], bgsound, embed[autostart]'))
+    .filter(el => (el.tagName !== 'VIDEO' || !el.muted) && !/^(false|0)$/i.test(el.getAttribute('autostart') || ''));
+  if (autoplay.length > 0) {
+    detected['autoplay-audio'] = `${autoplay.length} autoplaying <${autoplay[0].tagName.toLowerCase()}> element${autoplay.length > 1 ? 's' : ''}`;
+  }
+
+  return detected;
+}
+
+module.exports = { analyzeDesignAge, DESIGN_SIGNALS };
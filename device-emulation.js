@@ -0,0 +1,108 @@
+// Loads the homepage as it appears on a range of real devices (touch, pixel density and
+// mobile user agent included), checking each for horizontal overflow and taking a
+// screenshot of its first screen for the report
+const { KnownDevices } = require('puppeteer');
+
+// Desktop viewport every other check runs at
+const DESKTOP_VIEWPORT = { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: true };
+
+// Profiles in the order they're shown in the report. `userAgent: null` keeps the browser's own
+const DEVICE_PROFILES = [
+  { id: 'small-phone', label: 'Small phone (iPhone SE)', type: 'phone', ...KnownDevices['iPhone SE'] },
+  { id: 'large-phone', label: 'Large phone (iPhone 13 Pro Max)', type: 'phone', ...KnownDevices['iPhone 13 Pro Max'] },
+  { id: 'tablet-portrait', label: 'Tablet portrait (iPad Mini)', type: 'tablet', ...KnownDevices['iPad Mini'] },
+  { id: 'tablet-landscape', label: 'Tablet landscape (iPad Mini)', type: 'tablet', ...KnownDevices['iPad Mini landscape'] },
+  { id: 'desktop', label: 'Desktop', type: 'desktop', viewport: DESKTOP_VIEWPORT, userAgent: null }
+];
+
+// Time for layout and web fonts to settle after each load
+const SETTLE_TIME = 1000;
+
+// Runs in the browser - how far the page sticks out past the right edge of the screen,
+// and the element sticking out furthest
+function measureOverflow() {
+  const overflow = Math.max(document.documentElement.scrollWidth, document.body ? document.body.scrollWidth : 0) - window.innerWidth;
+  if (overflow <= 0) return { overflow: 0, element: null };
+
+  let widest = null;
+  let widestRight = window.innerWidth;
+  document.querySelectorAll('body *').forEach(el => {
+    const rect = el.getBoundingClientRect();
+    if (rect.width > 0 && rect.right > widestRight + 1) {
+      widest = el;
+      widestRight = rect.right;
+    }
+  });
+
+  const describe = (el) => `<${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}${
+    typeof el.className === 'string' && el.className.trim() ? `.${el.className.trim().split(/\s+/)[0]}` : ''}>`;
+  return { overflow: Math.round(overflow), element: widest ? describe(widest) : null };
+}
+
+/**
+ * Load a page on every device profile, checking for overflow and taking a first-screen screenshot.
+ * Leaves the page at the desktop viewport with the browser's user agent
+ * @param {Object} page - Puppeteer page
+ * @param {string} url - Page to load on each device
+ * @returns {Promise<Array<Object>>} - [{ id, label, type, width, height, overflow, overflowElement, screenshot }];
+ *   devices that failed to load are left out
+ */
+async function emulateDevices(page, url) {
+  const browserUserAgent = await page.browser().userAgent();
+  const results = [];
+
+  for (const profile of DEVICE_PROFILES) {
+    try {
+      await page.emulate({ viewport: profile.viewport, userAgent: profile.userAgent || browserUserAgent });
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+      await new Promise(resolve => setTimeout(resolve, SETTLE_TIME));
+
+      const { overflow, element } = await page.evaluate(measureOverflow);
+
+      // Screenshots are taken at CSS pixel size - high-density captures would bloat the report
+      const { width, height, deviceScaleFactor } = profile.viewport;
+      const screenshot = await page.screenshot({
+        type: 'jpeg',
+        quality: 70,
+        clip: { x: 0, y: 0, width, height, scale: 1 / deviceScaleFactor }
+      }).catch(error => {
+        console.error(`Error taking ${profile.label} screenshot for ${url}: ${error.message}`);
+        return null;
+      });
+
+      results.push({ id: profile.id, label: profile.label, type: profile.type, width, height, overflow, overflowElement: element, screenshot });
+    } catch (error) {
+      console.error(`${profile.label} emulation failed for ${url}: ${error.message}`);
+    }
+  }
+
+  // Back to desktop in case the desktop profile itself failed
+  await page.emulate({ viewport: DESKTOP_VIEWPORT, userAgent: browserUserAgent }).catch(() => null);
+  return results;
+}
+
+/**
+ * Check the page already loaded for overflow at the small phone's viewport size - no reload,
+ * mobile user agent or screenshot. The quick check for when the full device emulation is off.
+ * Leaves the page at the desktop viewport
+ * @param {Object} page - Puppeteer page
+ * @returns {Promise<Array<Object>>} - The small phone entry in emulateDevices' format (screenshot null),
+ *   or nothing when the check failed
+ */
+async function checkPhoneOverflow(page) {
+  const profile = DEVICE_PROFILES[0];
+  const { width, height } = profile.viewport;
+  try {
+    await page.setViewport({ width, height });
+    await new Promise(resolve => setTimeout(resolve, SETTLE_TIME));
+    const { overflow, element } = await page.evaluate(measureOverflow);
+    return [{ id: profile.id, label: profile.label, type: profile.type, width, height, overflow, overflowElement: element, screenshot: null }];
+  } catch (error) {
+    console.error(`${profile.label} overflow check failed: ${error.message}`);
+    return [];
+  } finally {
+    await page.setViewport(DESKTOP_VIEWPORT).catch(() => null);
+  }
+}
+
+module.exports = { emulateDevices, checkPhoneOverflow, DEVICE_PROFILES };
@@ -0,0 +1,77 @@
+// Plain HTTP helpers for checks that don't need a browser (robots.txt, sitemaps, link probes)
+
+// User agent sent with every request, so servers answer the way they would for a browser
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.4896.127 Safari/537.36';
+
+// Default timeout for a single request
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Fetch a URL as text
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - `timeout` in milliseconds
+ * @returns {Promise<Object>} - { status, text, finalUrl }, or { error } if the request failed
+ */
+async function fetchText(url, options = {}) {
+  try {
+    const response = await fetch(url, {
+      headers: { 'User-Agent': USER_AGENT },
+      signal: AbortSignal.timeout(options.timeout || REQUEST_TIMEOUT)
+    });
+    return { status: response.status, text: await response.text(), finalUrl: response.url };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Check a URL without following redirects. Uses HEAD and falls back to GET for
+ * servers that don't support HEAD
+ * @param {string} url - URL to check
+ * @param {Object} [options] - `timeout` in milliseconds
+ * @returns {Promise<Object>} - { url, status, location } or { url, error }
+ */
+async function probeUrl(url, options = {}) {
+  const request = (method) => fetch(url, {
+    method,
+    redirect: 'manual',
+    headers: { 'User-Agent': USER_AGENT },
+    signal: AbortSignal.timeout(options.timeout || REQUEST_TIMEOUT)
+  });
+
+  try {
+    let response = await request('HEAD');
+    if (response.status === 405 || response.status === 501) {
+      response = await request('GET');
+      // Only the status is needed - drop the body so the connection is freed
+      if (response.body) await response.body.cancel().catch(() => {});
+    }
+    return { url, status: response.status, location: response.headers.get('location') };
+  } catch (error) {
+    return { url, error: error.message };
+  }
+}
+
+/**
+ * Map over items with at most `concurrency` promises running at once
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of parallel calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} - Results in the same order as the items
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+module.exports = { fetchText, probeUrl, mapWithConcurrency, USER_AGENT, REQUEST_TIMEOUT };
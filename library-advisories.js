@@ -0,0 +1,79 @@
+// Matches the front-end library versions found by tech-fingerprint.js against a local
+// list of known-vulnerable version ranges. Refresh config/library-advisories.json to
+// update the list - nothing is looked up online
+
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES } = require('./security-audit');
+
+// Advisory list shipped with the project
+const DEFAULT_ADVISORIES_PATH = path.join(__dirname, 'config', 'library-advisories.json');
+
+// Weight for advisories whose severity isn't one of SEVERITIES (e.g. "critical" or a typo)
+const DEFAULT_SEVERITY = 'medium';
+
+// Helper function to split a version into numbers, e.g. "3.4.1-beta" -> [3, 4, 1]
+const parseVersion = (version) => String(version).split(/[.+-]/).slice(0, 3).map(part => parseInt(part, 10) || 0);
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative when a is older, positive when newer, 0 when equal
+ */
+function compareVersions(a, b) {
+  const partsA = parseVersion(a);
+  const partsB = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+// Helper function to test a version against one { atOrAbove, below } range (either end may be open)
+const isInRange = (version, { atOrAbove, below }) =>
+  (!atOrAbove || compareVersions(version, atOrAbove) >= 0) && (!below || compareVersions(version, below) < 0);
+
+// Parsed advisory files, keyed by absolute path
+const advisoriesCache = new Map();
+
+/**
+ * Load (and cache) the advisory list
+ * @param {string} [advisoriesPath] - JSON file to read instead of config/library-advisories.json
+ * @returns {Array<Object>} - Advisories as { library, id, severity, ranges, summary }
+ */
+function loadAdvisories(advisoriesPath = DEFAULT_ADVISORIES_PATH) {
+  const resolvedPath = path.resolve(advisoriesPath);
+  if (!advisoriesCache.has(resolvedPath)) {
+    try {
+      advisoriesCache.set(resolvedPath, JSON.parse(fs.readFileSync(resolvedPath, 'utf8')).advisories || []);
+    } catch (error) {
+      throw new Error(`Could not load library advisories from ${resolvedPath}: ${error.message}`);
+    }
+  }
+  return advisoriesCache.get(resolvedPath);
+}
+
+/**
+ * Find the detected libraries with a version covered by an advisory. Libraries whose
+ * version couldn't be detected are skipped
+ * @param {Array<Object>} technologies - Technologies from detectTechnologies
+ * @param {Array<Object>} [advisories] - Advisories from loadAdvisories, defaults to the bundled list
+ * @returns {Array<Object>} - One entry per matching advisory: { library, version, advisoryId, severity, summary }
+ */
+function findVulnerableLibraries(technologies, advisories = loadAdvisories()) {
+  return technologies
+    .filter(tech => tech.version)
+    .flatMap(tech => advisories
+      .filter(advisory => advisory.library === tech.name && advisory.ranges.some(range => isInRange(tech.version, range)))
+      .map(advisory => ({
+        library: tech.name,
+        version: tech.version,
+        advisoryId: advisory.id,
+        severity: SEVERITIES[advisory.severity] ? advisory.severity : DEFAULT_SEVERITY,
+        summary: advisory.summary
+      })));
+}
+
+module.exports = { findVulnerableLibraries, loadAdvisories, compareVersions };
@@ -0,0 +1,64 @@
+const puppeteer = require('puppeteer');
+
+// Lighthouse categories merged into the evaluation result
+const LIGHTHOUSE_CATEGORIES = ['performance', 'accessibility', 'best-practices', 'seo'];
+
+/**
+ * Run a Lighthouse audit against a website and return its category scores
+ * @param {string} url - The website URL to audit
+ * @param {Object} [options] - Audit options
+ * @param {string} [options.formFactor] - 'mobile' (default) or 'desktop'
+ * @returns {Promise<Object|null>} - Category scores out of 100, or null if the audit failed
+ */
+async function runLighthouseAnalysis(url, options = {}) {
+  const formFactor = options.formFactor === 'desktop' ? 'desktop' : 'mobile';
+  let chrome = null;
+
+  try {
+    // Lighthouse and chrome-launcher are ES modules, so they have to be imported dynamically
+    const { default: lighthouse } = await import('lighthouse');
+    const chromeLauncher = await import('chrome-launcher');
+    const config = formFactor === 'desktop'
+      ? (await import('lighthouse/core/config/desktop-config.js')).default
+      : undefined;
+
+    // Reuse the Chromium that Puppeteer already downloaded
+    chrome = await chromeLauncher.launch({
+      chromePath: puppeteer.executablePath(),
+      chromeFlags: ['--headless=new', '--no-sandbox', '--ignore-certificate-errors']
+    });
+
+    const runnerResult = await lighthouse(url, {
+      port: chrome.port,
+      output: 'json',
+      logLevel: 'error',
+      onlyCategories: LIGHTHOUSE_CATEGORIES
+    }, config);
+
+    if (!runnerResult || !runnerResult.lhr) return null;
+
+    const { categories } = runnerResult.lhr;
+    const toScore = (id) => {
+      const category = categories[id];
+      return category && typeof category.score === 'number' ? Math.round(category.score * 100) : null;
+    };
+
+    return {
+      formFactor,
+      performance: toScore('performance'),
+      accessibility: toScore('accessibility'),
+      bestPractices: toScore('best-practices'),
+      seo: toScore('seo'),
+      finalUrl: runnerResult.lhr.finalDisplayedUrl || url
+    };
+  } catch (error) {
+    console.error(`Error running Lighthouse for ${url}: ${error.message}`);
+    return null;
+  } finally {
+    if (chrome) {
+      await chrome.kill();
+    }
+  }
+}
+
+module.exports = { runLighthouseAnalysis, LIGHTHOUSE_CATEGORIES };
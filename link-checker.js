@@ -0,0 +1,120 @@
+// Broken link checker for the evaluated pages: probes same-origin links (and outbound
+// links when asked) for 4xx/5xx responses and redirect loops, and checks that linked
+// social media profiles still exist
+const { fetchText, probeUrl, mapWithConcurrency } = require('./http-utils');
+const { SOCIAL_NETWORKS, SHARE_LINK_PATTERN } = require('./contact-details');
+
+// Links probed per site - the rest are counted as skipped
+const DEFAULT_MAX_LINKS = 50;
+const PROBE_CONCURRENCY = 5;
+
+// Redirects followed before a chain counts as a loop
+const MAX_REDIRECTS = 5;
+
+// Statuses that mean "not for bots" rather than "gone" (LinkedIn answers 999 to scripts)
+const AMBIGUOUS_STATUSES = [401, 403, 429, 999];
+
+// What social networks show instead of a missing profile (they often answer 200)
+const DEAD_PROFILE_PATTERN = /this content isn't available|this page isn't available|page not found|this account doesn't exist|user not found|channel does not exist/i;
+
+// Helper function to find the social network a URL belongs to, or null
+const getSocialNetwork = (url) => Object.keys(SOCIAL_NETWORKS).find(name => SOCIAL_NETWORKS[name].test(url.hostname)) || null;
+
+/**
+ * Collect the unique links of the evaluated pages, with every page and anchor text linking to them
+ * @param {Array<Object>} pages - Evaluated pages with `url` and `$`
+ * @param {Object} [options] - `outbound` also collects links to other sites
+ * @returns {Array<Object>} - Links as { url, internal, network, sources: [{ page, text }] }
+ */
+function collectLinks(pages, options = {}) {
+  const links = new Map();
+  const origin = pages.length > 0 ? new URL(pages[0].url).origin : null;
+
+  pages.forEach(page => {
+    page.$('a[href]').each((i, el) => {
+      let url;
+      try {
+        url = new URL(page.$(el).attr('href'), page.url);
+      } catch (error) {
+        return;
+      }
+      if (!/^https?:$/.test(url.protocol)) return;
+      url.hash = '';
+
+      const internal = url.origin === origin;
+      const network = internal || SHARE_LINK_PATTERN.test(url.href) ? null : getSocialNetwork(url);
+      if (!internal && !network && !options.outbound) return;
+
+      const key = url.href;
+      if (!links.has(key)) links.set(key, { url: key, internal, network, sources: [] });
+      const sources = links.get(key).sources;
+      if (!sources.some(source => source.page === page.url)) {
+        const text = page.$(el).text().replace(/\s+/g, ' ').trim() || page.$(el).attr('aria-label') || page.$(el).find('img').attr('alt') || '';
+        sources.push({ page: page.url, text: text.slice(0, 80) });
+      }
+    });
+  });
+
+  return [...links.values()];
+}
+
+// Helper function to follow a link's redirects by hand, so loops are caught
+async function followRedirects(url) {
+  const chain = [url];
+  for (let hops = 0; hops <= MAX_REDIRECTS; hops++) {
+    const probe = await probeUrl(chain[chain.length - 1]);
+    if (probe.error) return { status: 'error', chain };
+    if (probe.status < 300 || probe.status >= 400 || !probe.location) return { status: probe.status, chain };
+
+    const next = new URL(probe.location, chain[chain.length - 1]).href;
+    if (chain.includes(next)) return { status: probe.status, chain: [...chain, next], loop: true };
+    chain.push(next);
+  }
+  return { status: 'too many redirects', chain, loop: true };
+}
+
+// Helper function to tell whether a social profile link is dead, returning the reason or null
+async function checkSocialProfile(url) {
+  const response = await fetchText(url);
+  if (response.error) return null; // Networks often drop script traffic - not proof the profile is gone
+  if (response.status >= 400 && !AMBIGUOUS_STATUSES.includes(response.status)) return `status ${response.status}`;
+  if (DEAD_PROFILE_PATTERN.test(response.text)) return 'profile not found';
+  if (new URL(response.finalUrl).pathname === '/') return 'redirects to the network homepage';
+  return null;
+}
+
+/**
+ * Probe the links of the evaluated pages
+ * @param {Array<Object>} pages - Evaluated pages (homepage first) with `url` and `$`
+ * @param {Object} [options] - `outbound` also checks links to other sites; `maxLinks` caps the links probed
+ * @returns {Promise<Object>} - { checkedLinks, skippedLinks, broken: [{ url, internal, status, sources }],
+ *   redirectLoops: [{ url, internal, chain, sources }], deadSocialProfiles: [{ url, network, reason, sources }] }
+ */
+async function checkLinks(pages, options = {}) {
+  const links = collectLinks(pages, options);
+
+  // Internal links first - they are the site owner's own mistakes
+  const sorted = [...links].sort((a, b) => Number(b.internal) - Number(a.internal));
+  const checked = sorted.slice(0, options.maxLinks || DEFAULT_MAX_LINKS);
+
+  const result = { checkedLinks: checked.length, skippedLinks: links.length - checked.length, broken: [], redirectLoops: [], deadSocialProfiles: [] };
+
+  await mapWithConcurrency(checked, PROBE_CONCURRENCY, async link => {
+    if (link.network) {
+      const reason = await checkSocialProfile(link.url);
+      if (reason) result.deadSocialProfiles.push({ url: link.url, network: link.network, reason, sources: link.sources });
+      return;
+    }
+
+    const { status, chain, loop } = await followRedirects(link.url);
+    if (loop) {
+      result.redirectLoops.push({ url: link.url, internal: link.internal, chain, sources: link.sources });
+    } else if ((status === 'error' && link.internal) || (status >= 400 && !AMBIGUOUS_STATUSES.includes(status))) {
+      result.broken.push({ url: link.url, internal: link.internal, status, sources: link.sources });
+    }
+  });
+
+  return result;
+}
+
+module.exports = { checkLinks, collectLinks, DEFAULT_MAX_LINKS };
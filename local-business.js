@@ -0,0 +1,166 @@
+// LocalBusiness structured data validation and NAP (name, address, phone) consistency
+// between the website and the business's Google Maps listing
+
+// schema.org types we accept as the business entity. LocalBusiness has hundreds of
+// subtypes, so anything ending in one of these words counts as well
+const BUSINESS_TYPES = ['LocalBusiness', 'Organization', 'Corporation', 'ProfessionalService', 'LegalService', 'Attorney',
+  'Dentist', 'Physician', 'MedicalClinic', 'MedicalBusiness', 'Restaurant', 'Bakery', 'CafeOrCoffeeShop', 'Store',
+  'HomeAndConstructionBusiness', 'AutomotiveBusiness', 'HealthAndBeautyBusiness', 'FoodEstablishment'];
+const BUSINESS_TYPE_SUFFIX = /(Business|Store|Service|Contractor|Clinic|Office|Agency|Shop)$/;
+
+// Fields Google uses for local results, with how to tell they are filled in
+const REQUIRED_FIELDS = {
+  name: entity => Boolean(entity.name),
+  address: entity => Boolean(entity.address),
+  telephone: entity => Boolean(entity.telephone),
+  openingHours: entity => Boolean(entity.openingHours || entity.openingHoursSpecification),
+  geo: entity => Boolean(entity.geo && (entity.geo.latitude || entity.geo.longitude))
+};
+
+// Words and abbreviations that vary between listings without changing the address
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln', court: 'ct',
+  place: 'pl', highway: 'hwy', parkway: 'pkwy', suite: 'ste', north: 'n', south: 's', east: 'e', west: 'w'
+};
+const BUSINESS_NAME_NOISE = /\b(llc|inc|pllc|pc|ltd|co|corp|dds|dmd|md|the|and)\b/g;
+
+// Helper function to get an entity's @type as a list
+const getTypes = (node) => [].concat(node['@type'] || []).map(String);
+
+const isBusinessNode = (node) => getTypes(node)
+  .some(type => BUSINESS_TYPES.includes(type) || BUSINESS_TYPE_SUFFIX.test(type));
+
+// Helper function to collect every JSON-LD node, including @graph members and nested arrays
+function flattenNodes(data, nodes = []) {
+  if (Array.isArray(data)) {
+    data.forEach(item => flattenNodes(item, nodes));
+  } else if (data && typeof data === 'object') {
+    nodes.push(data);
+    if (data['@graph']) flattenNodes(data['@graph'], nodes);
+  }
+  return nodes;
+}
+
+// Helper function to write a schema.org PostalAddress (or plain string) as one line
+function formatSchemaAddress(address) {
+  if (!address) return '';
+  if (typeof address === 'string') return address;
+  const postalAddress = Array.isArray(address) ? address[0] : address;
+  return [postalAddress.streetAddress, postalAddress.addressLocality, postalAddress.addressRegion, postalAddress.postalCode]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Parse a page's JSON-LD structured data and validate its business entity
+ * @param {Object} $ - Cheerio root of the page
+ * @returns {Object} - { blocks, invalidBlocks, types, business, missingFields } where business is
+ *   { types, name, address, telephone } or null when there is no LocalBusiness/Organization entity
+ */
+function analyzeStructuredData($) {
+  const nodes = [];
+  let invalidBlocks = 0;
+  const blocks = $('script[type="application/ld+json"]').toArray();
+
+  blocks.forEach(block => {
+    try {
+      flattenNodes(JSON.parse($(block).contents().text()), nodes);
+    } catch (error) {
+      invalidBlocks++;
+    }
+  });
+
+  // Prefer a LocalBusiness subtype over a plain Organization
+  const businessNodes = nodes.filter(isBusinessNode);
+  const entity = businessNodes.find(node => !getTypes(node).every(type => type === 'Organization' || type === 'Corporation')) ||
+    businessNodes[0];
+
+  return {
+    blocks: blocks.length,
+    invalidBlocks,
+    types: [...new Set(nodes.flatMap(getTypes))],
+    business: entity ? {
+      types: getTypes(entity),
+      name: entity.name ? String(entity.name) : '',
+      address: formatSchemaAddress(entity.address),
+      telephone: entity.telephone ? String(entity.telephone) : ''
+    } : null,
+    missingFields: entity ? Object.keys(REQUIRED_FIELDS).filter(field => !REQUIRED_FIELDS[field](entity)) : []
+  };
+}
+
+// Helper function to reduce a phone number to its last 10 digits
+const normalizePhoneDigits = (phone) => (phone || '').replace(/\D/g, '').slice(-10);
+
+// Helper function to normalize an address (or page text) for comparison. The result is
+// padded with spaces so includes() only matches whole words
+const normalizeAddress = (text) => ` ${(text || '')
+  .toLowerCase()
+  .replace(/[\ue000-\uf8ff]/g, '') // Icon glyphs in Maps text
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+  .join(' ')
+  .trim()} `;
+
+// Helper function to compare business names while ignoring legal suffixes and punctuation
+const normalizeName = (name) => (name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ')
+  .replace(BUSINESS_NAME_NOISE, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Compare the website's name, address and phone against the Google Maps listing
+ * @param {Object} listing - Business details from Google Maps: { name, address, phoneNumber }
+ * @param {Object} website - What the website shows: { schema (from analyzeStructuredData), phones, text }
+ * @returns {Object} - { maps, website, mismatches: [{ field, maps, website }] }
+ */
+function checkNapConsistency(listing, website) {
+  const schemaBusiness = website.schema ? website.schema.business : null;
+  const mismatches = [];
+  const mapsAddress = (listing.address || '').replace(/[\ue000-\uf8ff]/g, '').trim();
+
+  // Phone: the Maps number should be one of the numbers the site shows
+  const mapsPhone = normalizePhoneDigits(listing.phoneNumber);
+  const sitePhones = [...(website.phones || []), ...(schemaBusiness && schemaBusiness.telephone ? [schemaBusiness.telephone] : [])]
+    .filter((phone, index, phones) => phones.findIndex(other => normalizePhoneDigits(other) === normalizePhoneDigits(phone)) === index);
+  if (mapsPhone.length === 10 && sitePhones.length > 0 &&
+      !sitePhones.some(phone => normalizePhoneDigits(phone) === mapsPhone)) {
+    mismatches.push({ field: 'phone', maps: listing.phoneNumber, website: sitePhones.join(', ') });
+  }
+
+  // Address: compare the street line, and the ZIP code when both have one
+  const [mapsStreet] = mapsAddress.split(',');
+  const mapsZip = (mapsAddress.match(/\b\d{5}\b(?!.*\b\d{5}\b)/) || [])[0];
+  if (mapsStreet && /\d/.test(mapsStreet)) {
+    const street = normalizeAddress(mapsStreet);
+    if (schemaBusiness && schemaBusiness.address) {
+      const siteAddress = normalizeAddress(schemaBusiness.address);
+      const siteZip = (schemaBusiness.address.match(/\b\d{5}\b/) || [])[0];
+      if (!siteAddress.includes(street) || (mapsZip && siteZip && mapsZip !== siteZip)) {
+        mismatches.push({ field: 'address', maps: mapsAddress, website: schemaBusiness.address });
+      }
+    } else if (website.text && !normalizeAddress(website.text).includes(street)) {
+      mismatches.push({ field: 'address', maps: mapsAddress, website: null });
+    }
+  }
+
+  // Name: only the structured data states the name outright
+  if (listing.name && schemaBusiness && schemaBusiness.name) {
+    const mapsName = normalizeName(listing.name);
+    const siteName = normalizeName(schemaBusiness.name);
+    if (mapsName && siteName && !mapsName.includes(siteName) && !siteName.includes(mapsName)) {
+      mismatches.push({ field: 'name', maps: listing.name, website: schemaBusiness.name });
+    }
+  }
+
+  return {
+    maps: { name: listing.name || '', address: mapsAddress, phone: listing.phoneNumber || '' },
+    website: {
+      name: schemaBusiness ? schemaBusiness.name : '',
+      address: schemaBusiness ? schemaBusiness.address : '',
+      phones: sitePhones
+    },
+    mismatches
+  };
+}
+
+module.exports = { analyzeStructuredData, checkNapConsistency, REQUIRED_FIELDS };
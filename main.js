@@ -1,11 +1,12 @@
 const puppeteer = require('puppeteer');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
-const { evaluateWebsite } = require('./website-evaluator');
+const { evaluateWebsite, SCORE_CATEGORIES } = require('./website-evaluator');
+const BrowserPool = require('./browser-pool');
+const { summarizeTechnologies, TECHNOLOGY_CATEGORIES } = require('./tech-fingerprint');
+const { formatContactDetails } = require('./contact-details');
+const { scrapeMapsListings, formatListingDetails, LISTING_FIELDS } = require('./maps-scraper');
 const readline = require('readline');
 
-// Helper function to wait for a given time
-const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 // Define the top business categories to target based on research
 const BUSINESS_CATEGORIES = [
   { category: 'restaurants', location: 'local' },
@@ -51,23 +52,42 @@ const QUALITY_THRESHOLD = 60;
 // Maximum number of businesses to collect per category/location pair
 const MAX_BUSINESSES = 100;
 
+// Optional shallow crawl of each website's contact/about/services pages, e.g. { maxPages: 5 }
+const CRAWL_OPTIONS = null;
+
+// Optional lead segment by category score, e.g. { seo: { max: 50 }, mobile: { min: 80 } }
+// for "bad SEO but fine mobile" prospects. When set, it replaces the overall quality threshold
+const LEAD_SEGMENT = null;
+
+// Check whether a website's category scores fall inside every range of a lead segment
+function matchesSegment(categoryScores, segment) {
+  return Object.entries(segment).every(([category, { min = 0, max = 100 }]) => {
+    const value = categoryScores ? categoryScores[category] : undefined;
+    return typeof value === 'number' && value >= min && value <= max;
+  });
+}
+
 // Main function to scrape businesses
-async function scrapeBusinesses(category, location, qualityThreshold = 60, maxBusinesses = 100) {
+async function scrapeBusinesses(category, location, qualityThreshold = 60, maxBusinesses = 100, leadSegment = null, crawlOptions = null) {
   console.log(`Scraping businesses for: ${category} in ${location}`);
-  console.log(`Will collect up to ${maxBusinesses} businesses with a website quality score below ${qualityThreshold}`);
+  if (leadSegment) {
+    console.log(`Will collect up to ${maxBusinesses} businesses matching lead segment ${JSON.stringify(leadSegment)}`);
+  } else {
+    console.log(`Will collect up to ${maxBusinesses} businesses with a website quality score below ${qualityThreshold}`);
+  }
   
   const businesses = [];
   const businessesWithoutWebsites = [];
   // Track processed websites to avoid duplicates
   const processedWebsites = new Set();
-  // Track processed businesses to avoid revisiting after scroll
-  const processedBusinessNames = new Set();
   
   const browser = await puppeteer.launch({ 
     headless: false, // Show browser for visual confirmation
     defaultViewport: { width: 1366, height: 768 },
     args: ['--no-sandbox', '--disable-setuid-sandbox']
   });
+  // One evaluation browser for the whole run instead of a new one per website
+  const browserPool = new BrowserPool({ maxPages: 1 });
   
   try {
     const page = await browser.newPage();
@@ -75,241 +95,74 @@ async function scrapeBusinesses(category, location, qualityThreshold = 60, maxBu
     // Set user agent to appear more like a real browser
     await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.4896.127 Safari/537.36');
     
-    // Navigate to Google Maps
-    await page.goto('https://www.google.com/maps', { waitUntil: 'networkidle2', timeout: 60000 });
-    console.log('Loaded Google Maps');
-    
-    // Wait for and click on the search input
-    await page.waitForSelector('#searchboxinput', { visible: true, timeout: 60000 });
-    await page.click('#searchboxinput');
-    
-    // Type the search query
-    const searchQuery = `${category} in ${location}`;
-    await page.type('#searchboxinput', searchQuery);
-    await page.keyboard.press('Enter');
-    console.log(`Entered search query: ${searchQuery}`);
-    
-    // Wait for results to load
-    await waitFor(5000);
-    
-    // Scrape businesses until we reach maxBusinesses
-    let collectedBusinesses = 0;
-    let needScrolling = true;
-    let scrollCount = 0;
-    
-    while (needScrolling && collectedBusinesses < maxBusinesses) {
-      // Check if there's a loader indicating more results are being loaded
-      const isLoading = await page.evaluate(() => {
-        return document.querySelector('.YtfLV') !== null;
-      });
+    // Maps listings one at a time, until the results run out or we have enough prospects
+    for await (const business of scrapeMapsListings(page, { category, location })) {
+      const { name, address, phoneNumber, rating, websiteUrl } = business;
+      const listing = formatListingDetails(business);
       
-      if (isLoading) {
-        await waitFor(2000);
+      // Check if business has a website
+      if (!websiteUrl) {
+        console.log(`${name} - No website found, adding to no-website list`);
+        businessesWithoutWebsites.push({ name, category, location, address, phoneNumber, rating, listing });
         continue;
       }
       
-      // Get all the business listings that are currently visible
-      const businessElements = await page.$$('.Nv2PK');
-      console.log(`Found ${businessElements.length} business elements on page`);
-      
-      for (const element of businessElements) {
-        if (collectedBusinesses >= maxBusinesses) break;
-        
-        try {
-          // Get business info from listing
-          const nameElement = await element.$('.qBF1Pd');
-          if (!nameElement) continue;
-          
-          const name = await page.evaluate(el => el.textContent, nameElement);
-          
-          // Skip if we've already processed this business
-          if (processedBusinessNames.has(name)) {
-            console.log(`${name} - Already processed, skipping...`);
-            continue;
-          }
-          
-          // Add to processed businesses
-          processedBusinessNames.add(name);
-          
-          // Click on the listing to show details
-          await nameElement.click();
-          await waitFor(3000);
-          
-          // Get website URL from the business details panel
-          const websiteElement = await page.$('a[data-item-id="authority"]');
-          
-          // Get phone number from the business details panel
-          let phoneNumber = '';
-          const phoneElement = await page.$('button[data-item-id^="phone:"]');
-          if (phoneElement) {
-            phoneNumber = await page.evaluate(el => {
-              return el.textContent.replace(/\\s+/g, '');
-            }, phoneElement);
-          }
-          
-          // Get rating from the business details panel
-          let rating = '';
-          const ratingElement = await page.$('.F7nice');
-          if (ratingElement) {
-            rating = await page.evaluate(el => el.textContent, ratingElement);
-          }
-          
-          // Get address from the business details panel
-          let address = '';
-          const addressElement = await page.$('button[data-item-id="address"]');
-          if (addressElement) {
-            address = await page.evaluate(el => el.textContent, addressElement);
-          }
-          
-          // Check if business has a website
-          if (!websiteElement) {
-            console.log(`${name} - No website found, adding to no-website list`);
-            // Add to no-website businesses list
-            businessesWithoutWebsites.push({
-              name,
-              category,
-              location,
-              address,
-              phoneNumber,
-              rating
-            });
-            
-            // Go back to the list
-            await page.keyboard.press('Escape');
-            await waitFor(1000);
-            continue;
-          }
-          
-          const websiteUrl = await page.evaluate(el => el.href, websiteElement);
-          
-          // Check if we've already processed this website
-          if (processedWebsites.has(websiteUrl)) {
-            console.log(`${name} - Already evaluated website ${websiteUrl}, skipping...`);
-            // Go back to the list
-            await page.keyboard.press('Escape');
-            await waitFor(1000);
-            continue;
-          }
-          
-          // Add to processed websites
-          processedWebsites.add(websiteUrl);
-          
-          console.log(`Evaluating website for: ${name} (${websiteUrl})`);
-          
-          // Evaluate the website quality
-          const evaluation = await evaluateWebsite(websiteUrl);
-          
-          console.log(`${name} - Website Score: ${evaluation.score}/100`);
-          
-          // If website quality is below threshold, add to our list
-          if (evaluation.score <= qualityThreshold) {
-            console.log(`${name} - Added to potential clients list (Score: ${evaluation.score})`);
-            businesses.push({
-              name,
-              category,
-              location,
-              address,
-              phoneNumber,
-              rating,
-              websiteUrl,
-              websiteScore: evaluation.score,
-              issues: evaluation.issues.join('; ')
-            });
-            
-            collectedBusinesses++;
-          }
-          
-          // Go back to the list
-          await page.keyboard.press('Escape');
-          await waitFor(1000);
-          
-        } catch (error) {
-          console.error(`Error processing business: ${error.message}`);
-          // Try to go back to the list if we got stuck in a detail view
-          try {
-            await page.keyboard.press('Escape');
-            await waitFor(1000);
-          } catch (e) {}
-        }
+      // Check if we've already processed this website
+      if (processedWebsites.has(websiteUrl)) {
+        console.log(`${name} - Already evaluated website ${websiteUrl}, skipping...`);
+        continue;
       }
+      processedWebsites.add(websiteUrl);
       
-      // Check if we need to scroll for more results
-      if (collectedBusinesses < maxBusinesses) {
-        // Scroll down to load more results
-        const scrollContainer = await page.$('div[role="feed"]');
-        if (scrollContainer) {
-          await page.evaluate(container => {
-            container.scrollTop = container.scrollHeight;
-          }, scrollContainer);
-          
-          console.log(`Scrolled down to load more businesses (${++scrollCount})`);
-          await waitFor(3000);
-          
-          // Check if we've reached the end
-          const endReached = await page.evaluate(() => {
-            const container = document.querySelector('div[role="feed"]');
-            if (!container) return true;
-            
-            // Check if we're near the bottom
-            return container.scrollHeight - container.scrollTop <= container.clientHeight + 100;
-          });
-          
-          if (endReached) {
-            console.log('Reached the end of the list');
-            needScrolling = false;
-          }
-        } else {
-          // Try the alternate selector that also worked
-          const altScrollContainer = await page.$('.m6QErb[aria-label]');
-          if (altScrollContainer) {
-            await page.evaluate(container => {
-              container.scrollTop = container.scrollHeight;
-            }, altScrollContainer);
-            
-            console.log(`Scrolled down using alternate selector (${++scrollCount})`);
-            await waitFor(3000);
-            
-            // Check if we've reached the end
-            const endReached = await page.evaluate(() => {
-              const container = document.querySelector('.m6QErb[aria-label]');
-              if (!container) return true;
-              
-              // Check if we're near the bottom
-              return container.scrollHeight - container.scrollTop <= container.clientHeight + 100;
-            });
-            
-            if (endReached) {
-              console.log('Reached the end of the list with alternate selector');
-              needScrolling = false;
-            }
-          } else {
-            needScrolling = false;
-          }
-        }
+      try {
+        console.log(`Evaluating website for: ${name} (${websiteUrl})`);
+        
+        // Evaluate the website quality, using the scoring rules for this vertical
+        const evaluation = await evaluateWebsite(websiteUrl, {
+          vertical: category,
+          crawl: crawlOptions,
+          browserPool,
+          business: { name, address, phoneNumber, category, location }
+        });
+        
+        console.log(`${name} - Website Score: ${evaluation.score}/100`);
         
-        // Check for "Next page" button
-        const nextPageButton = await page.$('button[aria-label="Next page"]');
-        if (nextPageButton && !needScrolling) {
-          const isDisabled = await page.evaluate(button => button.disabled, nextPageButton);
-          if (!isDisabled) {
-            console.log('Moving to next page');
-            await nextPageButton.click();
-            await waitFor(3000);
-            needScrolling = true;
-          } else {
-            console.log('Next page button is disabled, no more pages');
-            needScrolling = false;
-          }
+        // If website quality is below threshold (or matches the lead segment), add to our list
+        const isProspect = leadSegment
+          ? matchesSegment(evaluation.categoryScores, leadSegment)
+          : evaluation.score <= qualityThreshold;
+        if (isProspect) {
+          console.log(`${name} - Added to potential clients list (Score: ${evaluation.score})`);
+          businesses.push({
+            name,
+            category,
+            location,
+            address,
+            phoneNumber,
+            rating,
+            listing,
+            websiteUrl,
+            websiteScore: evaluation.score,
+            categoryScores: evaluation.categoryScores,
+            technologies: summarizeTechnologies(evaluation.technologies),
+            contactDetails: formatContactDetails(evaluation.contactDetails),
+            issues: evaluation.issues.join('; ')
+          });
         }
-      } else {
-        needScrolling = false;
+      } catch (error) {
+        console.error(`Error evaluating ${name}: ${error.message}`);
       }
+      
+      if (businesses.length >= maxBusinesses) break;
     }
     
   } catch (error) {
     console.error('Error scraping businesses:', error);
+    // A Maps markup change would make every later search fail the same way
+    if (error.selectorHealth) throw error;
   } finally {
     await browser.close();
+    await browserPool.close();
   }
   
   console.log(`Collected ${businesses.length} businesses with website quality below threshold`);
@@ -332,21 +185,29 @@ async function writeToCSV(businesses, category, location, suffix = 'prospects')
     { id: 'location', title: 'Location' },
     { id: 'address', title: 'Address' },
     { id: 'phoneNumber', title: 'Phone Number' },
-    { id: 'rating', title: 'Rating' }
+    { id: 'rating', title: 'Rating' },
+    ...Object.entries(LISTING_FIELDS).map(([key, label]) => ({ id: `listing.${key}`, title: label }))
   ];
   
   // Add website-specific headers if not writing no-website businesses
   if (suffix !== 'no-website') {
     headers.push(
       { id: 'websiteUrl', title: 'Website URL' },
+      { id: 'contactDetails.emails', title: 'Emails' },
+      { id: 'contactDetails.phones', title: 'Website Phone Numbers' },
+      { id: 'contactDetails.contactForms', title: 'Contact Form URLs' },
+      { id: 'contactDetails.socialProfiles', title: 'Social Profiles' },
       { id: 'websiteScore', title: 'Website Score' },
+      ...Object.entries(SCORE_CATEGORIES).map(([key, { label }]) => ({ id: `categoryScores.${key}`, title: `${label} Score` })),
+      ...Object.entries(TECHNOLOGY_CATEGORIES).map(([key, label]) => ({ id: `technologies.${key}`, title: label })),
       { id: 'issues', title: 'Issues' }
     );
   }
   
   const csvWriter = createCsvWriter({
     path: filename,
-    header: headers
+    header: headers,
+    headerIdDelimiter: '.' // Lets headers read nested fields such as categoryScores.seo or listing.placeId
   });
   
   await csvWriter.writeRecords(businesses);
@@ -390,9 +251,12 @@ async function main() {
   console.log(`Category: ${target.category}`);
   console.log(`Location: ${target.location}`);
   console.log(`Website quality threshold: ${QUALITY_THRESHOLD}`);
+  if (LEAD_SEGMENT) {
+    console.log(`Lead segment: ${JSON.stringify(LEAD_SEGMENT)}`);
+  }
   console.log(`Maximum businesses to collect: ${MAX_BUSINESSES}`);
   
-  const { businesses, businessesWithoutWebsites } = await scrapeBusinesses(target.category, target.location, QUALITY_THRESHOLD, MAX_BUSINESSES);
+  const { businesses, businessesWithoutWebsites } = await scrapeBusinesses(target.category, target.location, QUALITY_THRESHOLD, MAX_BUSINESSES, LEAD_SEGMENT, CRAWL_OPTIONS);
   
   // Write businesses with poor websites to CSV
   if (businesses.length > 0) {
@@ -425,4 +289,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { scrapeBusinesses, writeToCSV }; 
\ No newline at end of file
+module.exports = { scrapeBusinesses, writeToCSV, matchesSegment }; 
\ No newline at end of file
@@ -0,0 +1,338 @@
+// The Google Maps scraping loop shared by main.js and WebsiteAnalyzer: searches Maps,
+// walks the results (scrolling and paging), opens each new listing and yields its
+// details. Evaluating websites, writing CSVs and generating reports are left to the
+// consumer of the iterator
+const { loadSelectors } = require('./maps-selectors');
+const { SelectorHealth } = require('./selector-health');
+const { FeedScroller } = require('./scroll-strategy');
+
+// Helper function to wait for a given time
+const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Polls of the loading spinner before scanning the results anyway
+const MAX_LOADING_WAITS = 5;
+
+// Time for the details panel to open after clicking a listing
+const DETAILS_WAIT = 3000;
+
+/**
+ * Tidy a business name as shown in Maps: icon glyphs dropped, whitespace collapsed
+ * @param {string} name - Raw listing text
+ * @returns {string} - Display name, e.g. "Joe's Pizza"
+ */
+function normalizeName(name) {
+  return cleanText(name);
+}
+
+// Helper function to drop icon font glyphs (private use characters) and collapse whitespace
+function cleanText(text) {
+  return (text || '').replace(/[\uE000-\uF8FF]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Open Google Maps and run a search
+ * @param {Object} page - Puppeteer page
+ * @param {string} query - Search, e.g. "plumbers in Boise, ID"
+ * @param {Object} selectors - Fallback chains from loadSelectors
+ */
+async function searchMaps(page, query, selectors) {
+  await page.goto('https://www.google.com/maps', { waitUntil: 'networkidle2', timeout: 60000 });
+  console.log('Loaded Google Maps');
+
+  // Wait for and click on the search input (any selector of its chain)
+  const searchInput = await page.waitForSelector(selectors.searchInput.join(', '), { visible: true, timeout: 60000 });
+  await searchInput.click();
+
+  await searchInput.type(query);
+  await page.keyboard.press('Enter');
+  console.log(`Entered search query: ${query}`);
+
+  // Wait for results to load
+  await waitFor(5000);
+}
+
+// Listing fields as CSV columns, keyed by the formatListingDetails field
+const LISTING_FIELDS = {
+  reviewCount: 'Review Count',
+  categories: 'Maps Categories',
+  openingHours: 'Opening Hours',
+  priceLevel: 'Price Level',
+  plusCode: 'Plus Code',
+  placeId: 'Place ID',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  photoCount: 'Photo Count',
+  claimed: 'Claimed',
+  attributes: 'Listing Attributes'
+};
+
+/**
+ * Read the place ID and coordinates from a Google Maps place URL
+ * @param {string} url - e.g. https://www.google.com/maps/place/Name/@43.6,-116.2,17z/data=!4m6!3m5!1s0x54ae...:0x1a2b...!8m2!3d43.61!4d-116.20
+ * @returns {Object} - { placeId, latitude, longitude }, null where the URL doesn't say
+ */
+function parseMapsUrl(url) {
+  let text = url || '';
+  try {
+    text = decodeURIComponent(text);
+  } catch (error) {
+    // Keep the raw URL when it has a stray %
+  }
+  // The ChIJ... place ID when the URL has one, else the feature ID, which is just as stable
+  const placeId = (text.match(/!19s(ChIJ[^!?&/]+)/) || text.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i) || [])[1] || null;
+  // The place's own coordinates (!3d/!4d) rather than the map view's (@lat,lng)
+  const coordinates = text.match(/!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/) || text.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+  return {
+    placeId,
+    latitude: coordinates ? parseFloat(coordinates[1]) : null,
+    longitude: coordinates ? parseFloat(coordinates[2]) : null
+  };
+}
+
+// Helper function to read a count such as "1,234 reviews", "1.2K photos" or "(87)"
+function parseCount(text, noun) {
+  const match = (text || '').match(new RegExp(`(\\d[\\d,.]*)\\s*([KM])?\\s+${noun}`, 'i')) ||
+    (text || '').match(/\((\d[\d,.]*)([KM])?\)/i);
+  if (!match) return null;
+  const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1].replace(/,/g, '')) * multiplier);
+}
+
+/**
+ * Read the open details panel
+ * @param {Object} page - Puppeteer page with a listing's details panel open
+ * @param {SelectorHealth} health - Selector lookups for this run
+ * @param {Object} [context] - `category` and `location` of the search, copied onto the record
+ * @returns {Promise<Object>} - { name, address, phoneNumber, rating, websiteUrl, category, location,
+ *   reviewCount, categories, openingHours, priceLevel, plusCode, placeId, latitude, longitude,
+ *   photoCount, claimed, attributes }
+ */
+async function extractBusinessDetails(page, health, context = {}) {
+  const details = {
+    name: '',
+    address: '',
+    phoneNumber: '',
+    rating: '',
+    websiteUrl: null,
+    category: context.category || 'Business',  // Default category if none provided
+    location: context.location || 'Unknown Location',  // Default location if none provided
+    reviewCount: null,
+    categories: [],
+    openingHours: [],  // e.g. ['Monday: 8 AM-5 PM', ...]
+    priceLevel: '',    // e.g. '$$' or '$10-20'
+    plusCode: '',
+    placeId: null,
+    latitude: null,
+    longitude: null,
+    photoCount: null,
+    claimed: null,     // false when Maps offers "Claim this business", else unknown
+    attributes: []     // e.g. ['Wheelchair accessible entrance', 'Online booking']
+  };
+
+  const readText = (element) => page.evaluate(el => el.textContent, element).then(cleanText);
+  // Icons and badges carry their meaning in the label rather than the text
+  const readLabel = (element) => page.evaluate(el => el.getAttribute('aria-label') || el.textContent, element).then(cleanText);
+
+  const nameElement = await health.findElement(page, 'detailsName');
+  if (nameElement) details.name = await readText(nameElement);
+
+  const addressElement = await health.findElement(page, 'detailsAddress');
+  if (addressElement) details.address = await readText(addressElement);
+
+  const phoneElement = await health.findElement(page, 'detailsPhone');
+  if (phoneElement) details.phoneNumber = await readText(phoneElement);
+
+  const ratingElement = await health.findElement(page, 'detailsRating');
+  if (ratingElement) details.rating = await readText(ratingElement);
+
+  const websiteElement = await health.findElement(page, 'detailsWebsite');
+  if (websiteElement) details.websiteUrl = await page.evaluate(el => el.href, websiteElement);
+
+  const reviewCountElement = await health.findElement(page, 'detailsReviewCount');
+  if (reviewCountElement) details.reviewCount = parseCount(await readLabel(reviewCountElement), 'review');
+
+  const categoryElements = await health.findElements(page, 'detailsCategory');
+  details.categories = [...new Set(await Promise.all(categoryElements.map(readText)))].filter(Boolean);
+
+  const hoursElement = await health.findElement(page, 'detailsHours');
+  if (hoursElement) {
+    details.openingHours = await page.evaluate(el => {
+      // A table of day and hours rows, or a label like "Monday, 8 AM to 5 PM; Tuesday, ..."
+      const rows = Array.from(el.querySelectorAll('tr')).map(row => Array.from(row.children).map(cell => cell.textContent.trim()));
+      if (rows.length > 0) return rows.filter(cells => cells.length >= 2).map(([day, hours]) => `${day}: ${hours}`);
+      return (el.getAttribute('aria-label') || '').replace(/\.\s*Hide open hours.*$/i, '').split(';')
+        .map(entry => entry.trim().replace(/^([A-Za-z]+),\s*/, '$1: '))
+        .filter(Boolean);
+    }, hoursElement);
+    details.openingHours = details.openingHours.map(cleanText);
+  }
+
+  const priceElement = await health.findElement(page, 'detailsPrice');
+  if (priceElement) {
+    // Prefer the "$$" shown over the label's "Price: Moderate"
+    const shown = await readText(priceElement);
+    details.priceLevel = /\$/.test(shown) ? shown.replace(/^·\s*/, '') : (await readLabel(priceElement)).replace(/^Price:\s*/i, '');
+  }
+
+  const plusCodeElement = await health.findElement(page, 'detailsPlusCode');
+  if (plusCodeElement) details.plusCode = await readText(plusCodeElement);
+
+  Object.assign(details, parseMapsUrl(page.url()));
+
+  const photosElement = await health.findElement(page, 'detailsPhotos');
+  if (photosElement) details.photoCount = parseCount(await readLabel(photosElement), 'photo');
+
+  // Only the "Claim this business" link says anything about the claim status - a missing
+  // link may just mean the selectors are out of date, so it leaves the status unknown
+  if (details.name && await health.findElement(page, 'detailsClaimBusiness')) {
+    details.claimed = false;
+  }
+
+  const attributeElements = await health.findElements(page, 'detailsAttributes');
+  const attributes = await Promise.all(attributeElements.map(readLabel));
+  if (await health.findElement(page, 'detailsBooking')) attributes.push('Online booking');
+  details.attributes = [...new Set(attributes)].filter(Boolean);
+
+  return details;
+}
+
+/**
+ * Flatten the listing fields of a business for a CSV row
+ * @param {Object} details - Business details from extractBusinessDetails
+ * @returns {Object} - Strings keyed like LISTING_FIELDS
+ */
+function formatListingDetails(details) {
+  const listing = details || {};
+  const join = (values) => (values || []).join('; ');
+  return {
+    reviewCount: listing.reviewCount != null ? String(listing.reviewCount) : '',
+    categories: join(listing.categories),
+    openingHours: join(listing.openingHours),
+    priceLevel: listing.priceLevel || '',
+    plusCode: listing.plusCode || '',
+    placeId: listing.placeId || '',
+    latitude: listing.latitude != null ? String(listing.latitude) : '',
+    longitude: listing.longitude != null ? String(listing.longitude) : '',
+    photoCount: listing.photoCount != null ? String(listing.photoCount) : '',
+    claimed: listing.claimed == null ? '' : listing.claimed ? 'Yes' : 'No',
+    attributes: join(listing.attributes)
+  };
+}
+
+// Helper function to click the "Next page" button; false when there is none or it's disabled
+async function goToNextPage(page, health) {
+  const button = await health.findElement(page, 'nextPage');
+  if (!button || await page.evaluate(el => el.disabled, button)) return false;
+  console.log('Moving to next page');
+  await button.click();
+  await waitFor(3000);
+  return true;
+}
+
+/**
+ * Search Google Maps and yield the details of every new business in the results, scrolling
+ * the feed (see scroll-strategy.js) until it stops producing new listings and then paging on.
+ * Listings are deduped by place ID (by name when the listing has no place link). Breaking out
+ * of the loop stops the scrape
+ * @param {Object} page - Puppeteer page to scrape in
+ * @param {Object} options - Scrape options
+ * @param {string} options.category - Business category searched for, e.g. 'plumbers'
+ * @param {string} options.location - Location searched in, e.g. 'Boise, ID'
+ * @param {Set} [options.seen] - Place IDs (or lowercased names) already scraped, shared to dedupe across searches
+ * @param {SelectorHealth} [options.health] - Selector health tracker; one is created per scrape by default
+ * @param {number} [options.maxIdleScrolls] - Scroll rounds without a new listing before moving to the next page
+ * @yields {Object} - Business details from extractBusinessDetails
+ */
+async function* scrapeMapsListings(page, options) {
+  const { category, location } = options;
+  const selectors = loadSelectors();
+  const health = options.health || new SelectorHealth(selectors);
+  const seen = options.seen || new Set();
+  const scroller = new FeedScroller(page, selectors, { health, maxIdleScrolls: options.maxIdleScrolls });
+
+  try {
+    await searchMaps(page, `${category} in ${location}`, selectors);
+
+    let loadingWaits = 0;
+
+    while (true) {
+      // Wait while the spinner says more results are on their way
+      const isLoading = await page.evaluate(chain => {
+        return chain.some(selector => document.querySelector(selector) !== null);
+      }, selectors.loadingIndicator);
+      if (isLoading && loadingWaits++ < MAX_LOADING_WAITS) {
+        await waitFor(2000);
+        continue;
+      }
+      loadingWaits = 0;
+
+      const listings = await health.findElements(page, 'listing');
+      console.log(`Found ${listings.length} business elements on page`);
+
+      for (const listing of listings) {
+        const nameElement = await health.findElement(listing, 'listingName');
+        if (!nameElement) continue;
+
+        // Heuristic matches may be the listing's link, which holds the name in its label
+        const name = normalizeName(await page.evaluate(el => el.textContent || el.getAttribute('aria-label'), nameElement).catch(() => ''));
+        if (!name) continue;
+
+        // The place ID in the listing's link tells apart branches that share a name
+        const link = await listing.$('a[href*="/maps/place/"]').catch(() => null);
+        const place = parseMapsUrl(link ? await page.evaluate(el => el.href, link).catch(() => '') : '');
+        const key = place.placeId || name.toLowerCase();
+        if (seen.has(key)) continue;
+
+        try {
+          // Click on the listing to show details
+          await nameElement.click();
+          await waitFor(DETAILS_WAIT);
+
+          const details = await extractBusinessDetails(page, health, { category, location });
+          if (!details.name) details.name = name;
+          // The page URL may still be the previous listing's if the panel was slow to update
+          if (place.placeId) Object.assign(details, place);
+          // Only a listing that made it through counts as seen, so a failed one is retried later
+          seen.add(key);
+          yield details;
+        } catch (error) {
+          console.error(`Error processing ${name}: ${error.message}`);
+        } finally {
+          // Go back to the list
+          await page.keyboard.press('Escape').catch(() => {});
+          await waitFor(1000);
+        }
+      }
+
+      // Stop here if the listings, their names or the details panel no longer match
+      health.assertHealthy();
+
+      if (await scroller.scroll()) {
+        console.log(`Scrolled down to load more businesses (${scroller.listingCount} listings loaded)`);
+        continue;
+      }
+      console.log(scroller.formatReport());
+
+      if (!(await goToNextPage(page, health))) {
+        console.log('No more results');
+        break;
+      }
+      scroller.reset();
+    }
+
+    // Judge the critical fields however few lookups they had
+    health.assertHealthy({ final: true });
+  } finally {
+    console.log(health.formatSummary());
+  }
+}
+
+module.exports = {
+  scrapeMapsListings,
+  searchMaps,
+  extractBusinessDetails,
+  formatListingDetails,
+  parseMapsUrl,
+  normalizeName,
+  LISTING_FIELDS
+};
@@ -0,0 +1,77 @@
+// Registry of the Google Maps selectors every scraper uses, loaded from
+// config/maps-selectors.json. Each field has an ordered fallback chain: the first
+// selector that matches wins, so a Maps DOM change only means editing the JSON file
+// (or running selector-finder.js --save)
+
+const fs = require('fs');
+const path = require('path');
+
+// Registry shipped with the project
+const DEFAULT_SELECTORS_PATH = path.join(__dirname, 'config', 'maps-selectors.json');
+
+// Helper function to read the registry file as { fields: { field: { description, selectors } } }
+function readRegistry(selectorsPath) {
+  try {
+    return JSON.parse(fs.readFileSync(selectorsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load Maps selectors from ${selectorsPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the selector fallback chains
+ * @param {string} [selectorsPath] - JSON file to read instead of config/maps-selectors.json
+ * @returns {Object} - Selector chains keyed by field, e.g. { listing: ['.Nv2PK', 'div[role="article"]'] }
+ */
+function loadSelectors(selectorsPath = DEFAULT_SELECTORS_PATH) {
+  const { fields } = readRegistry(selectorsPath);
+  return Object.fromEntries(Object.entries(fields).map(([field, { selectors }]) => [field, selectors]));
+}
+
+/**
+ * Find the first element matched by a fallback chain
+ * @param {Object} scope - Puppeteer page or element handle to search in
+ * @param {Array<string>} chain - Selectors to try in order
+ * @returns {Promise<Object|null>} - Element handle, or null when no selector matches
+ */
+async function findElement(scope, chain) {
+  for (const selector of chain) {
+    const element = await scope.$(selector);
+    if (element) return element;
+  }
+  return null;
+}
+
+/**
+ * Find every element matched by the first selector of a fallback chain that matches anything
+ * @param {Object} scope - Puppeteer page or element handle to search in
+ * @param {Array<string>} chain - Selectors to try in order
+ * @returns {Promise<Array<Object>>} - Element handles, empty when no selector matches
+ */
+async function findElements(scope, chain) {
+  for (const selector of chain) {
+    const elements = await scope.$$(selector);
+    if (elements.length > 0) return elements;
+  }
+  return [];
+}
+
+/**
+ * Record a selector found to work for a field by moving it to the front of the field's chain
+ * (adding it when it's new). The rest of the chain stays as fallbacks
+ * @param {string} field - Registry field, e.g. 'listing'
+ * @param {string} selector - Selector that matched
+ * @param {string} [selectorsPath] - JSON file to update instead of config/maps-selectors.json
+ * @returns {boolean} - Whether the registry changed
+ */
+function saveSelector(field, selector, selectorsPath = DEFAULT_SELECTORS_PATH) {
+  const registry = readRegistry(selectorsPath);
+  const entry = registry.fields[field] || (registry.fields[field] = { description: '', selectors: [] });
+  if (entry.selectors[0] === selector) return false;
+
+  entry.selectors = [selector, ...entry.selectors.filter(existing => existing !== selector)];
+  fs.writeFileSync(selectorsPath, `${JSON.stringify(registry, null, 2)}\n`);
+  return true;
+}
+
+module.exports = { loadSelectors, findElement, findElements, saveSelector, DEFAULT_SELECTORS_PATH };
@@ -0,0 +1,170 @@
+// Records every network request of a page load over the DevTools protocol and sums up
+// page weight, compression, caching, render-blocking resources and third parties
+
+// Text responses worth compressing, and the size below which compression doesn't matter
+const TEXT_MIME_PATTERN = /^text\/|javascript|json|xml|svg/;
+const MIN_COMPRESSIBLE_BYTES = 1024;
+
+// Resource types browsers can cache between visits
+const CACHEABLE_TYPES = ['stylesheet', 'script', 'image', 'font', 'media'];
+
+// Largest files listed in the analysis
+const MAX_LARGEST_FILES = 5;
+
+// Second-level registries where the site's domain is three labels long (example.co.uk)
+const MULTI_PART_SUFFIXES = /\.(co|com|org|net|gov|ac|edu)\.[a-z]{2}$/;
+
+// Helper function to reduce a hostname to the domain a business registers, e.g. cdn.example.com -> example.com
+const getSiteDomain = (hostname) => hostname.split('.').slice(MULTI_PART_SUFFIXES.test(hostname) ? -3 : -2).join('.');
+
+class NetworkRecorder {
+  /**
+   * Record the requests a page makes, with their transfer sizes and response headers
+   * @param {Object} page - Puppeteer page, before navigating
+   */
+  constructor(page) {
+    this.page = page;
+    this.requests = new Map();
+    this.client = null;
+  }
+
+  async start() {
+    this.client = await this.page.target().createCDPSession();
+    await this.client.send('Network.enable');
+    // The pool's browser is shared, so assets cached by an earlier load would report no bytes or encoding
+    await this.client.send('Network.setCacheDisabled', { cacheDisabled: true });
+
+    this.client.on('Network.requestWillBeSent', ({ requestId, request, type }) => {
+      if (request.url.startsWith('data:')) return;
+      // Redirects reuse the request id - the last hop is the one that loads
+      this.requests.set(requestId, { url: request.url, type: (type || 'other').toLowerCase(), status: null, mimeType: '', headers: {}, bytes: 0 });
+    });
+
+    this.client.on('Network.responseReceived', ({ requestId, response }) => {
+      const entry = this.requests.get(requestId);
+      if (!entry) return;
+      entry.status = response.status;
+      entry.mimeType = response.mimeType || '';
+      entry.headers = Object.fromEntries(Object.entries(response.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    });
+
+    this.client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+      const entry = this.requests.get(requestId);
+      if (entry) entry.bytes = encodedDataLength;
+    });
+
+    this.client.on('Network.loadingFailed', ({ requestId }) => {
+      this.requests.delete(requestId);
+    });
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<Array<Object>>} - Finished requests as { url, type, status, mimeType, headers, bytes }
+   */
+  async stop() {
+    if (this.client) {
+      await this.client.send('Network.setCacheDisabled', { cacheDisabled: false }).catch(() => null);
+      await this.client.detach().catch(() => null);
+      this.client = null;
+    }
+    return [...this.requests.values()].filter(entry => entry.status !== null);
+  }
+}
+
+// Helper function to tell whether a response can be cached by the browser
+function hasCacheHeaders(headers) {
+  const cacheControl = headers['cache-control'] || '';
+  if (/no-store|no-cache|max-age=0\b/.test(cacheControl)) return false;
+  return /max-age=\d|s-maxage=\d|immutable/.test(cacheControl) || Boolean(headers.expires);
+}
+
+/**
+ * Find the stylesheets and scripts in <head> that block the first render
+ * @param {Object} $ - Cheerio root of the page
+ * @param {string} pageUrl - URL of the page, to resolve relative URLs
+ * @returns {Array<string>} - Render-blocking resource URLs
+ */
+function findRenderBlockingResources($, pageUrl) {
+  const resolve = (href) => {
+    try {
+      return new URL(href, pageUrl).href;
+    } catch (error) {
+      return href;
+    }
+  };
+
+  const stylesheets = $('head link[rel="stylesheet"][href]')
+    .filter((i, el) => !$(el).attr('media') || /^(all|screen)$/i.test($(el).attr('media').trim()))
+    .map((i, el) => resolve($(el).attr('href')))
+    .get();
+
+  const scripts = $('head script[src]')
+    .filter((i, el) => $(el).attr('async') === undefined && $(el).attr('defer') === undefined && $(el).attr('type') !== 'module')
+    .map((i, el) => resolve($(el).attr('src')))
+    .get();
+
+  return [...stylesheets, ...scripts];
+}
+
+/**
+ * Summarize the requests of a page load
+ * @param {Array<Object>} requests - Requests from NetworkRecorder.stop
+ * @param {string} siteUrl - Final URL of the page
+ * @param {Object} $ - Cheerio root of the page
+ * @returns {Object} - { requestCount, totalBytes, bytesByType, largestFiles, uncompressed, missingCache,
+ *   renderBlocking, thirdPartyDomains }
+ */
+function analyzeNetwork(requests, siteUrl, $) {
+  const siteDomain = getSiteDomain(new URL(siteUrl).hostname);
+  const bytesByType = {};
+  requests.forEach(request => {
+    bytesByType[request.type] = (bytesByType[request.type] || 0) + request.bytes;
+  });
+
+  const uncompressed = requests
+    .filter(request => TEXT_MIME_PATTERN.test(request.mimeType) && request.bytes >= MIN_COMPRESSIBLE_BYTES)
+    .filter(request => !request.headers['content-encoding'] || request.headers['content-encoding'] === 'identity')
+    .map(({ url, bytes }) => ({ url, bytes }));
+
+  const missingCache = requests
+    .filter(request => CACHEABLE_TYPES.includes(request.type) && request.status === 200 && !hasCacheHeaders(request.headers))
+    .map(({ url, bytes }) => ({ url, bytes }));
+
+  const thirdPartyDomains = [...new Set(requests
+    .map(request => {
+      try {
+        return getSiteDomain(new URL(request.url).hostname);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(domain => domain && domain !== siteDomain))];
+
+  return {
+    requestCount: requests.length,
+    totalBytes: requests.reduce((sum, request) => sum + request.bytes, 0),
+    bytesByType,
+    largestFiles: [...requests]
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(0, MAX_LARGEST_FILES)
+      .map(({ url, type, bytes }) => ({ url, type, bytes })),
+    uncompressed,
+    missingCache,
+    renderBlocking: findRenderBlockingResources($, siteUrl),
+    thirdPartyDomains
+  };
+}
+
+/**
+ * Format a byte count for issues and reports, e.g. "6.2 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+module.exports = { NetworkRecorder, analyzeNetwork, findRenderBlockingResources, formatBytes };
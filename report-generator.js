@@ -1,5 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { SCORE_CATEGORIES } = require('./website-evaluator');
+const { summarizeTechnologies, TECHNOLOGY_CATEGORIES } = require('./tech-fingerprint');
+const { formatMetricValue, WEB_VITALS } = require('./web-vitals');
+const { formatBytes } = require('./network-analysis');
+const { SEVERITIES } = require('./security-audit');
+
+// Helper function to escape text taken from the evaluated pages (selectors, link text,
+// evidence) before it's embedded in the report
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
 
 class ReportGenerator {
   constructor(searchQuery) {
@@ -54,7 +63,25 @@ class ReportGenerator {
         return issue.replace(/^\[.*?\]\s*/, '');
       });
       
-      const issuesList = formattedIssues.map(issue => `<li>${issue}</li>`).join('');
+      const issuesList = formattedIssues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('');
+      const categoryHtml = websiteAnalysis.categoryScores ? this.generateCategoryScoresHtml(websiteAnalysis.categoryScores) : '';
+      const lighthouseHtml = websiteAnalysis.lighthouse ? this.generateLighthouseHtml(websiteAnalysis.lighthouse) : '';
+      const webVitalsHtml = websiteAnalysis.webVitals ? this.generateWebVitalsHtml(websiteAnalysis.webVitals) : '';
+      const conversionHtml = websiteAnalysis.conversion
+        ? this.generateConversionHtml(websiteAnalysis.conversion, websiteAnalysis.categoryScores)
+        : '';
+      const contentQualityHtml = websiteAnalysis.contentQuality ? this.generateContentQualityHtml(websiteAnalysis.contentQuality) : '';
+      const designAgeHtml = websiteAnalysis.designAge ? this.generateDesignAgeHtml(websiteAnalysis.designAge) : '';
+      const securityHtml = websiteAnalysis.securityAudit ? this.generateSecurityHtml(websiteAnalysis.securityAudit) : '';
+      const vulnerableLibrariesHtml = websiteAnalysis.vulnerableLibraries ? this.generateVulnerableLibrariesHtml(websiteAnalysis.vulnerableLibraries) : '';
+      const devicesHtml = websiteAnalysis.devices ? this.generateDevicesHtml(websiteAnalysis.devices) : '';
+      const linksHtml = websiteAnalysis.links ? this.generateLinksHtml(websiteAnalysis.links) : '';
+      const networkHtml = websiteAnalysis.network ? this.generateNetworkHtml(websiteAnalysis.network) : '';
+      const accessibilityHtml = websiteAnalysis.accessibility ? this.generateAccessibilityHtml(websiteAnalysis.accessibility) : '';
+      const technologiesHtml = websiteAnalysis.technologies ? this.generateTechnologiesHtml(websiteAnalysis.technologies) : '';
+      const napHtml = websiteAnalysis.localBusiness && websiteAnalysis.localBusiness.nap
+        ? this.generateNapHtml(websiteAnalysis.localBusiness.nap)
+        : '';
       websiteScoreDetails = `
         <div class="score-container">
           <div class="score-circle ${websiteAnalysis.score >= 80 ? 'high' : websiteAnalysis.score >= 60 ? 'medium' : 'low'}">
@@ -67,6 +94,20 @@ class ReportGenerator {
             </ul>
           </div>
         </div>
+        ${categoryHtml}
+        ${devicesHtml}
+        ${napHtml}
+        ${conversionHtml}
+        ${designAgeHtml}
+        ${contentQualityHtml}
+        ${linksHtml}
+        ${securityHtml}
+        ${vulnerableLibrariesHtml}
+        ${webVitalsHtml}
+        ${networkHtml}
+        ${lighthouseHtml}
+        ${accessibilityHtml}
+        ${technologiesHtml}
       `;
     }
 
@@ -133,6 +174,9 @@ class ReportGenerator {
             <div class="card-icon"><i class="fas fa-chart-line"></i></div>
             <div class="card-content">
               <h3>Your website should close deals, not collect dust.</h3>
+              ${websiteAnalysis && websiteAnalysis.categoryScores && typeof websiteAnalysis.categoryScores.conversion === 'number' && websiteAnalysis.categoryScores.conversion < 100
+                ? `<p>Right now your site scores ${websiteAnalysis.categoryScores.conversion}/100 on turning visitors into calls and bookings.</p>`
+                : ''}
               <p>We helped a ${businessInfo.category} business in ${city} add $20K in sales last month. You're next.</p>
             </div>
           </div>
@@ -323,6 +367,308 @@ class ReportGenerator {
             margin-bottom: 8px;
           }
           
+          /* Category score breakdown styling */
+          .category-scores {
+            margin-bottom: 25px;
+          }
+          .category-score {
+            display: flex;
+            align-items: center;
+            margin-bottom: 10px;
+          }
+          .category-label {
+            width: 120px;
+            font-weight: 500;
+          }
+          .category-bar {
+            flex-grow: 1;
+            height: 12px;
+            background-color: var(--border-color);
+            border-radius: 6px;
+            overflow: hidden;
+            margin: 0 15px;
+          }
+          .category-bar-fill {
+            height: 100%;
+          }
+          .category-bar-fill.high {
+            background-color: #4CAF50;
+          }
+          .category-bar-fill.medium {
+            background-color: #FFC107;
+          }
+          .category-bar-fill.low {
+            background-color: #F44336;
+          }
+          .category-value {
+            width: 40px;
+            text-align: right;
+            font-weight: 700;
+          }
+          
+          /* Lighthouse scores styling */
+          .lighthouse-scores {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+            gap: 15px;
+            margin-bottom: 25px;
+          }
+          .lighthouse-score {
+            text-align: center;
+            padding: 15px;
+            background-color: var(--light-bg);
+            border-radius: 8px;
+          }
+          .lighthouse-score .score-badge {
+            margin: 0 auto 10px;
+          }
+          .lighthouse-score .score-badge.medium {
+            background-color: #FFC107;
+          }
+          .lighthouse-score .score-badge.low {
+            background-color: #F44336;
+          }
+          .lighthouse-note {
+            font-size: 14px;
+            color: #666;
+          }
+          
+          /* Core Web Vitals styling */
+          .web-vitals {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+            gap: 15px;
+            margin-bottom: 10px;
+          }
+          .web-vital {
+            padding: 15px;
+            border-radius: 8px;
+            border-top: 4px solid #4CAF50;
+            background-color: var(--light-bg);
+          }
+          .web-vital.needs-improvement {
+            border-top-color: #FFC107;
+          }
+          .web-vital.poor {
+            border-top-color: #F44336;
+          }
+          .web-vital-value {
+            font-size: 24px;
+            font-weight: 700;
+          }
+          .web-vital-label {
+            font-size: 14px;
+            color: #666;
+          }
+          
+          /* Conversion readiness styling */
+          .conversion-checks {
+            list-style: none;
+            padding: 0;
+            margin-bottom: 25px;
+          }
+          .conversion-checks li {
+            padding: 8px 0 8px 30px;
+            border-bottom: 1px solid #eee;
+            position: relative;
+          }
+          .conversion-checks li::before {
+            position: absolute;
+            left: 5px;
+            font-weight: 700;
+          }
+          .conversion-checks li.passed::before {
+            content: '✓';
+            color: #4CAF50;
+          }
+          .conversion-checks li.failed::before {
+            content: '✗';
+            color: #F44336;
+          }
+          .conversion-checks .evidence {
+            font-size: 14px;
+            color: #666;
+          }
+          
+          /* Device screenshots styling */
+          .device-screenshots {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: flex-end;
+            gap: 20px;
+            margin-bottom: 25px;
+          }
+          .device-screenshots figure {
+            margin: 0;
+            text-align: center;
+          }
+          .device-screenshots img {
+            height: 320px;
+            width: auto;
+            display: block;
+            margin: 0 auto 8px;
+            border: 6px solid #333;
+            border-radius: 12px;
+          }
+          .device-screenshots figure.overflowing img {
+            border-color: #F44336;
+          }
+          .device-screenshots figcaption {
+            font-size: 14px;
+          }
+          .device-screenshots .evidence {
+            display: block;
+            color: #666;
+          }
+          .device-screenshots .overflowing .evidence {
+            color: #F44336;
+            font-weight: 700;
+          }
+          
+          /* Content quality styling */
+          .placeholder-list {
+            padding: 15px 15px 15px 35px;
+            margin-bottom: 25px;
+            border-left: 4px solid #F44336;
+            background-color: var(--light-bg);
+          }
+          .placeholder-list q {
+            font-weight: 700;
+          }
+          
+          /* Design age styling */
+          .design-signals {
+            list-style: none;
+            padding: 0;
+            margin-bottom: 25px;
+          }
+          .design-signals li {
+            padding: 8px 0;
+            border-bottom: 1px solid #eee;
+          }
+          .design-signals .evidence {
+            font-size: 14px;
+            color: #666;
+          }
+          
+          /* Security posture styling */
+          .security-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 25px;
+          }
+          .security-table th,
+          .security-table td {
+            padding: 10px;
+            text-align: left;
+            border-bottom: 1px solid #eee;
+          }
+          .security-table th {
+            background-color: var(--light-bg);
+          }
+          .security-table .passed {
+            color: #4CAF50;
+            font-weight: 700;
+          }
+          .severity-badge {
+            display: inline-block;
+            padding: 2px 8px;
+            border-radius: 10px;
+            color: white;
+            font-size: 12px;
+            font-weight: 700;
+          }
+          .severity-badge.high {
+            background-color: #F44336;
+          }
+          .severity-badge.medium {
+            background-color: #FF9800;
+          }
+          .severity-badge.low {
+            background-color: #9E9E9E;
+          }
+          
+          /* Page weight styling */
+          .network-table,
+          .links-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 25px;
+          }
+          .network-table th,
+          .network-table td,
+          .links-table th,
+          .links-table td {
+            padding: 10px;
+            text-align: left;
+            border-bottom: 1px solid #eee;
+            word-break: break-all;
+          }
+          .network-table th,
+          .links-table th {
+            background-color: var(--light-bg);
+          }
+          .links-table .evidence {
+            font-size: 14px;
+            color: #666;
+          }
+          .network-table td.size {
+            white-space: nowrap;
+            font-weight: 700;
+          }
+          
+          /* NAP consistency styling */
+          .nap-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 25px;
+          }
+          .nap-table th,
+          .nap-table td {
+            padding: 10px;
+            text-align: left;
+            border-bottom: 1px solid #eee;
+          }
+          .nap-table th {
+            background-color: var(--light-bg);
+          }
+          .nap-table tr.mismatch td {
+            color: #F44336;
+            font-weight: 700;
+          }
+          
+          /* Technology stack styling */
+          .technology-list {
+            list-style: none;
+            padding: 0;
+            margin-bottom: 25px;
+          }
+          .technology-list li {
+            padding: 8px 0;
+            border-bottom: 1px solid #eee;
+          }
+          
+          /* Accessibility (WCAG) findings styling */
+          .accessibility-table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 25px;
+          }
+          .accessibility-table th,
+          .accessibility-table td {
+            padding: 10px;
+            text-align: left;
+            border-bottom: 1px solid #eee;
+            vertical-align: top;
+          }
+          .accessibility-table th {
+            background-color: var(--light-bg);
+          }
+          .accessibility-table code {
+            font-size: 12px;
+            color: #666;
+          }
+          
           /* Competitor card styling */
           .competitor-score {
             display: flex;
@@ -630,6 +976,326 @@ class ReportGenerator {
       </html>
     `;
   }
+
+  generateCategoryScoresHtml(categoryScores) {
+    const categories = Object.entries(SCORE_CATEGORIES)
+      .filter(([key]) => typeof categoryScores[key] === 'number');
+
+    if (categories.length === 0) return '';
+
+    return `
+      <h3>Score Breakdown</h3>
+      <div class="category-scores">
+        ${categories.map(([key, { label }]) => {
+          const value = categoryScores[key];
+          const level = value >= 80 ? 'high' : value >= 60 ? 'medium' : 'low';
+          return `
+            <div class="category-score">
+              <div class="category-label">${label}</div>
+              <div class="category-bar"><div class="category-bar-fill ${level}" style="width: ${value}%;"></div></div>
+              <div class="category-value">${value}</div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  generateLighthouseHtml(lighthouse) {
+    const categories = [
+      { key: 'performance', label: 'Performance' },
+      { key: 'accessibility', label: 'Accessibility' },
+      { key: 'bestPractices', label: 'Best Practices' },
+      { key: 'seo', label: 'SEO' }
+    ].filter(category => typeof lighthouse[category.key] === 'number');
+
+    if (categories.length === 0) return '';
+
+    // Google's own Lighthouse color bands: 90+ good, 50-89 needs work, below 50 poor
+    const badgeClass = (score) => score >= 90 ? 'high' : score >= 50 ? 'medium' : 'low';
+
+    return `
+      <h3>Google Lighthouse Scores</h3>
+      <div class="lighthouse-scores">
+        ${categories.map(category => `
+          <div class="lighthouse-score">
+            <div class="score-badge ${badgeClass(lighthouse[category.key])}">${lighthouse[category.key]}</div>
+            <div>${category.label}</div>
+          </div>
+        `).join('')}
+      </div>
+      <p class="lighthouse-note">Scores from Google Lighthouse, the industry-standard website audit tool (${lighthouse.formFactor || 'mobile'} test).</p>
+    `;
+  }
+
+  generateWebVitalsHtml(webVitals) {
+    const metrics = Object.entries(webVitals.metrics || {});
+    if (metrics.length === 0) return '';
+
+    const ratingLabels = { good: 'Good', 'needs-improvement': 'Needs Improvement', poor: 'Poor' };
+
+    return `
+      <h3>Core Web Vitals</h3>
+      <div class="web-vitals">
+        ${metrics.map(([metric, { value, rating }]) => `
+          <div class="web-vital ${rating}">
+            <div class="web-vital-value">${formatMetricValue(metric, value)}</div>
+            <div>${WEB_VITALS[metric].label}</div>
+            <div class="web-vital-label">${ratingLabels[rating]}</div>
+          </div>
+        `).join('')}
+      </div>
+      <p class="lighthouse-note">${webVitals.throttled ? 'Measured the way Google does' : 'Measured'}: ${escapeHtml(webVitals.device)}.</p>
+    `;
+  }
+
+  generateConversionHtml(conversion, categoryScores) {
+    const leadTools = [...conversion.booking, ...conversion.chat, ...(conversion.quoteForm ? ['quote form'] : [])];
+
+    const checks = [
+      ...(conversion.ctaAboveFold ? [
+        { passed: Boolean(conversion.ctaAboveFold.desktop), label: 'Call-to-action visible on desktop without scrolling', detail: conversion.ctaAboveFold.desktop },
+        { passed: Boolean(conversion.ctaAboveFold.mobile), label: 'Call-to-action visible on phones without scrolling', detail: conversion.ctaAboveFold.mobile },
+        { passed: Boolean(conversion.oneTapAction), label: 'Call or book with one tap on mobile', detail: conversion.oneTapAction }
+      ] : []),
+      {
+        passed: conversion.phones.untappable.length === 0,
+        label: 'Phone numbers are tap-to-call links',
+        detail: conversion.phones.untappable.length > 0 ? `not linked: ${conversion.phones.untappable.join(', ')}` : null
+      },
+      { passed: leadTools.length > 0, label: 'Online booking, live chat or quote form', detail: leadTools.join(', ') }
+    ];
+
+    const score = categoryScores && typeof categoryScores.conversion === 'number' ? `: ${categoryScores.conversion}/100` : '';
+    return `
+      <h3>Conversion Readiness${score}</h3>
+      <ul class="conversion-checks">
+        ${checks.map(check => `
+          <li class="${check.passed ? 'passed' : 'failed'}">${check.label}${check.detail ? ` <span class="evidence">(${escapeHtml(check.detail)})</span>` : ''}</li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  generateContentQualityHtml(contentQuality) {
+    const pagePath = (url) => {
+      try {
+        return new URL(url).pathname;
+      } catch (error) {
+        return url;
+      }
+    };
+
+    const facts = [
+      `${contentQuality.pages.map(page => `${escapeHtml(pagePath(page.url))}: ${page.wordCount} words${page.thin ? ' (thin)' : ''}`).join(', ')}`,
+      contentQuality.readingGrade !== null ? `Reading level: grade ${contentQuality.readingGrade}` : null,
+      contentQuality.duplicates.length > 0 ? `${contentQuality.duplicates.length} paragraphs repeated between pages` : null,
+      contentQuality.city ? `${escapeHtml(contentQuality.city.name)} ${contentQuality.city.mentioned ? 'is' : 'is never'} mentioned` : null,
+      contentQuality.category ? `"${escapeHtml(contentQuality.category.name)}" ${contentQuality.category.mentioned ? 'is' : 'is never'} mentioned` : null
+    ].filter(Boolean);
+
+    return `
+      <h3>Website Copy</h3>
+      ${contentQuality.placeholders.length > 0 ? `
+        <p><strong>Template placeholder text is still live on your website:</strong></p>
+        <ul class="placeholder-list">
+          ${contentQuality.placeholders.map(placeholder => `<li><q>${escapeHtml(placeholder.text)}</q> on ${escapeHtml(pagePath(placeholder.url))}</li>`).join('')}
+        </ul>
+      ` : ''}
+      <ul class="design-signals">
+        ${facts.map(fact => `<li>${fact}</li>`).join('')}
+      </ul>
+    `;
+  }
+
+  generateDesignAgeHtml(designAge) {
+    if (designAge.signals.length === 0) return '';
+
+    return `
+      <h3>Design Age: ${designAge.score}/100</h3>
+      <p>Your website uses design techniques from the early 2000s that make it look outdated to today's visitors:</p>
+      <ul class="design-signals">
+        ${designAge.signals.map(signal => `
+          <li><strong>${signal.label}</strong> <span class="evidence">- ${escapeHtml(signal.evidence)}</span></li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
+  generateSecurityHtml(securityAudit) {
+    if (securityAudit.checks.length === 0) return '';
+
+    const severityOrder = Object.keys(SEVERITIES);
+    const checks = [...securityAudit.checks].sort((a, b) =>
+      (a.passed - b.passed) || (severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity)));
+
+    return `
+      <h3>Security Posture</h3>
+      <table class="security-table">
+        <tr><th>Check</th><th>Result</th><th>Severity</th></tr>
+        ${checks.map(securityCheck => `
+          <tr>
+            <td>${securityCheck.label}</td>
+            <td class="${securityCheck.passed ? 'passed' : ''}">${securityCheck.passed ? 'Passed' : escapeHtml(securityCheck.message)}</td>
+            <td>${securityCheck.passed ? '-' : `<span class="severity-badge ${securityCheck.severity}">${SEVERITIES[securityCheck.severity].label}</span>`}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  generateVulnerableLibrariesHtml(vulnerableLibraries) {
+    if (vulnerableLibraries.length === 0) return '';
+
+    return `
+      <h3>Vulnerable Libraries</h3>
+      <table class="security-table">
+        <tr><th>Library</th><th>Version</th><th>Advisory</th><th>Severity</th></tr>
+        ${vulnerableLibraries.map(({ library, version, advisoryId, severity, summary }) => `
+          <tr>
+            <td>${escapeHtml(library)}</td>
+            <td>${escapeHtml(version)}</td>
+            <td>${escapeHtml(advisoryId)}<br><small>${escapeHtml(summary)}</small></td>
+            <td><span class="severity-badge ${severity}">${SEVERITIES[severity].label}</span></td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  generateDevicesHtml(devices) {
+    const captured = devices.filter(device => device.screenshot);
+    if (captured.length === 0) return '';
+
+    const broken = captured.filter(device => device.overflow > 0);
+
+    return `
+      <h3>Your Website on Every Screen</h3>
+      <p>${broken.length > 0
+        ? `Your website doesn't fit the screen on ${broken.length} of ${captured.length} devices - visitors have to scroll sideways to read it:`
+        : 'Your website fits the screen on every device we tested:'}</p>
+      <div class="device-screenshots">
+        ${captured.map(device => `
+          <figure class="${device.overflow > 0 ? 'overflowing' : ''}">
+            <img src="data:image/jpeg;base64,${device.screenshot.toString('base64')}" alt="${device.label} screenshot" />
+            <figcaption>
+              <strong>${device.label}</strong> (${device.width}x${device.height})
+              <span class="evidence">${device.overflow > 0
+                ? `${device.overflow}px too wide${device.overflowElement ? ` at ${escapeHtml(device.overflowElement)}` : ''}`
+                : 'Fits the screen'}</span>
+            </figcaption>
+          </figure>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  generateLinksHtml(links) {
+    const problems = [
+      ...links.broken.map(link => ({ ...link, problem: link.status === 'error' ? 'Does not load' : `Broken (${link.status})` })),
+      ...links.redirectLoops.map(link => ({ ...link, problem: 'Redirect loop' })),
+      ...links.deadSocialProfiles.map(link => ({ ...link, problem: `Dead ${link.network.charAt(0).toUpperCase()}${link.network.slice(1)} profile` }))
+    ];
+    if (problems.length === 0) return '';
+
+    return `
+      <h3>Broken Links</h3>
+      <p>${problems.length} of the ${links.checkedLinks} links we checked lead visitors nowhere:</p>
+      <table class="links-table">
+        <tr><th>Link</th><th>Problem</th><th>Found On</th></tr>
+        ${problems.map(link => `
+          <tr>
+            <td>${escapeHtml(link.url)}</td>
+            <td>${link.problem}</td>
+            <td>${link.sources.map(source => `${escapeHtml(source.page)}${source.text ? ` <span class="evidence">("${escapeHtml(source.text)}")</span>` : ''}`).join('<br>')}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  generateNetworkHtml(network) {
+    if (network.requestCount === 0) return '';
+
+    const byType = Object.entries(network.bytesByType).sort(([, a], [, b]) => b - a);
+
+    return `
+      <h3>Page Weight</h3>
+      <p>Your homepage downloads <strong>${formatBytes(network.totalBytes)}</strong> in ${network.requestCount} requests${
+        network.thirdPartyDomains.length > 0 ? ` from ${network.thirdPartyDomains.length} outside services` : ''}:
+        ${byType.map(([type, bytes]) => `${type} ${formatBytes(bytes)}`).join(', ')}.</p>
+      <table class="network-table">
+        <tr><th>Largest Files</th><th>Type</th><th>Size</th></tr>
+        ${network.largestFiles.map(file => `
+          <tr>
+            <td>${escapeHtml(file.url)}</td>
+            <td>${file.type}</td>
+            <td class="size">${formatBytes(file.bytes)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
+
+  generateNapHtml(nap) {
+    if (nap.mismatches.length === 0) return '';
+
+    const rows = [
+      { field: 'name', label: 'Business Name', maps: nap.maps.name, website: nap.website.name },
+      { field: 'address', label: 'Address', maps: nap.maps.address, website: nap.website.address },
+      { field: 'phone', label: 'Phone', maps: nap.maps.phone, website: nap.website.phones.join(', ') }
+    ];
+
+    return `
+      <h3>Google Maps vs. Your Website</h3>
+      <table class="nap-table">
+        <tr><th></th><th>Google Maps</th><th>Your Website</th></tr>
+        ${rows.map(row => {
+          const isMismatch = nap.mismatches.some(mismatch => mismatch.field === row.field);
+          return `
+            <tr class="${isMismatch ? 'mismatch' : ''}">
+              <td>${row.label}</td>
+              <td>${row.maps ? escapeHtml(row.maps) : '-'}</td>
+              <td>${row.website ? escapeHtml(row.website) : (isMismatch ? 'Not found' : '-')}</td>
+            </tr>
+          `;
+        }).join('')}
+      </table>
+    `;
+  }
+
+  generateTechnologiesHtml(technologies) {
+    const summary = Object.entries(summarizeTechnologies(technologies))
+      .filter(([, value]) => value);
+
+    if (summary.length === 0) return '';
+
+    return `
+      <h3>Built With</h3>
+      <ul class="technology-list">
+        ${summary.map(([category, value]) => `<li><strong>${TECHNOLOGY_CATEGORIES[category]}:</strong> ${value}</li>`).join('')}
+      </ul>
+    `;
+  }
+
+  generateAccessibilityHtml(accessibility) {
+    if (!accessibility.criteria || accessibility.criteria.length === 0) return '';
+
+    return `
+      <h3>Accessibility (WCAG 2.1) Issues</h3>
+      <table class="accessibility-table">
+        <tr><th>WCAG Criterion</th><th>Level</th><th>Issues</th><th>Examples</th></tr>
+        ${accessibility.criteria.map(group => `
+          <tr>
+            <td>${group.criterion} ${group.name}</td>
+            <td>${group.level}</td>
+            <td>${group.count}</td>
+            <td>${group.examples.map(example => `<code>${escapeHtml(example)}</code>`).join('<br>')}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  }
 }
 
 module.exports = ReportGenerator; 
\ No newline at end of file
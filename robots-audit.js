@@ -0,0 +1,228 @@
+const cheerio = require('cheerio');
+const { fetchText, probeUrl, mapWithConcurrency } = require('./http-utils');
+
+// Crawler whose robots.txt rules we check (falls back to the "*" group)
+const CRAWLER_USER_AGENT = 'googlebot';
+
+// Limits that keep the audit quick on sites with huge sitemaps
+const MAX_SITEMAPS = 5;
+const MAX_SITEMAP_URLS_CHECKED = 20;
+const PROBE_CONCURRENCY = 5;
+
+/**
+ * Parse robots.txt into user-agent groups and sitemap references
+ * @param {string} text - robots.txt contents
+ * @returns {Object} - { groups: [{ userAgents, rules: [{ type, path }] }], sitemaps }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasUserAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasUserAgent) {
+        current = { userAgents: [], rules: [] };
+        groups.push(current);
+      }
+      current.userAgents.push(value.toLowerCase());
+      lastWasUserAgent = true;
+      return;
+    }
+
+    lastWasUserAgent = false;
+    if (field === 'sitemap' && value) {
+      sitemaps.push(value);
+    } else if ((field === 'allow' || field === 'disallow') && current && value) {
+      // An empty Disallow allows everything, so it adds no rule
+      current.rules.push({ type: field, path: value });
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+// Helper function to match a robots.txt path pattern (supports * and $) against a path
+function robotsPatternMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Check whether robots.txt lets a crawler fetch a path, using Google's precedence:
+ * the longest matching rule wins and Allow wins a tie
+ * @param {Object} robots - Parsed robots.txt from parseRobotsTxt
+ * @param {string} path - URL path (and query) to check
+ * @param {string} [userAgent] - Crawler name
+ * @returns {boolean} - True when the path may be crawled
+ */
+function isPathAllowed(robots, path, userAgent = CRAWLER_USER_AGENT) {
+  const agent = userAgent.toLowerCase();
+  const agentGroups = robots.groups.filter(group => group.userAgents.includes(agent));
+  const groups = agentGroups.length > 0
+    ? agentGroups
+    : robots.groups.filter(group => group.userAgents.includes('*'));
+
+  let bestRule = null;
+  groups.flatMap(group => group.rules).forEach(rule => {
+    if (!robotsPatternMatches(rule.path, path)) return;
+    if (!bestRule || rule.path.length > bestRule.path.length ||
+        (rule.path.length === bestRule.path.length && rule.type === 'allow')) {
+      bestRule = rule;
+    }
+  });
+
+  return !bestRule || bestRule.type === 'allow';
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} - { urls, sitemaps } where sitemaps are the children of a sitemap index
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locs = (selector) => $(selector).map((i, el) => $(el).text().trim()).get().filter(Boolean);
+  return {
+    urls: locs('urlset > url > loc'),
+    sitemaps: locs('sitemapindex > sitemap > loc')
+  };
+}
+
+/**
+ * Load sitemaps (following sitemap indexes) and collect the page URLs they list
+ * @param {Array<string>} sitemapUrls - Sitemaps to start from
+ * @returns {Promise<Object>} - { sitemaps, unreachable: [{ url, status }], urls }
+ */
+async function collectSitemapUrls(sitemapUrls) {
+  const result = { sitemaps: [], unreachable: [], urls: [] };
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+
+  while (queue.length > 0 && seen.size < MAX_SITEMAPS) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+
+    const response = await fetchText(sitemapUrl);
+    if (response.error || response.status >= 400) {
+      result.unreachable.push({ url: sitemapUrl, status: response.error ? 'error' : response.status });
+      continue;
+    }
+
+    const parsed = parseSitemap(response.text);
+    if (parsed.urls.length === 0 && parsed.sitemaps.length === 0) {
+      // Answered, but not with a sitemap (e.g. an HTML "not found" page)
+      result.unreachable.push({ url: sitemapUrl, status: response.status });
+      continue;
+    }
+
+    result.sitemaps.push(sitemapUrl);
+    result.urls.push(...parsed.urls);
+    queue.push(...parsed.sitemaps);
+  }
+
+  return result;
+}
+
+// Helper function to fetch and parse a site's robots.txt
+async function fetchRobotsTxt(origin) {
+  const response = await fetchText(`${origin}/robots.txt`);
+  if (response.error) return { status: 'error', robots: parseRobotsTxt('') };
+  if (response.status >= 400) return { status: 'missing', robots: parseRobotsTxt('') };
+  return { status: 'found', robots: parseRobotsTxt(response.text) };
+}
+
+// Sitemaps named in robots.txt, or the conventional locations when it names none
+function getSitemapCandidates(origin, robots) {
+  return robots.sitemaps.length > 0
+    ? robots.sitemaps
+    : [`${origin}/sitemap.xml`, `${origin}/sitemap_index.xml`];
+}
+
+/**
+ * Fetch a site's robots.txt and the sitemaps it references, once for both the crawler and the audit
+ * @param {string} siteUrl - Any URL of the site
+ * @returns {Promise<Object>} - { status, robots, sitemaps: { sitemaps, unreachable, urls } }
+ */
+async function fetchCrawlerFiles(siteUrl) {
+  const origin = new URL(siteUrl).origin;
+  const { status, robots } = await fetchRobotsTxt(origin);
+  const sitemaps = await collectSitemapUrls(getSitemapCandidates(origin, robots));
+  return { status, robots, sitemaps };
+}
+
+/**
+ * Audit a site's robots.txt and sitemaps
+ * @param {string} siteUrl - Final URL of the homepage
+ * @param {Object} [options] - Audit options
+ * @param {Array<string>} [options.keyPages] - Page URLs that must not be blocked (contact, services...)
+ * @param {Object} [options.crawlerFiles] - Result of fetchCrawlerFiles, fetched here when missing
+ * @returns {Promise<Object>} - Audit findings
+ */
+async function auditRobotsAndSitemaps(siteUrl, options = {}) {
+  const origin = new URL(siteUrl).origin;
+  const { status, robots, sitemaps: sitemapResult } = options.crawlerFiles || await fetchCrawlerFiles(siteUrl);
+
+  const audit = {
+    robotsTxt: status,
+    blocksWholeSite: false,
+    blockedPages: [],
+    sitemapsInRobotsTxt: robots.sitemaps.length,
+    sitemaps: [],
+    unreachableSitemaps: [],
+    sitemapUrlCount: 0,
+    checkedUrls: 0,
+    brokenUrls: [],
+    redirectingUrls: []
+  };
+
+  // The site didn't answer plain HTTP requests - nothing reliable to report
+  if (status === 'error') return audit;
+
+  audit.blocksWholeSite = !isPathAllowed(robots, '/');
+  audit.blockedPages = (options.keyPages || []).filter(pageUrl => {
+    const url = new URL(pageUrl);
+    return url.origin === origin && !isPathAllowed(robots, `${url.pathname}${url.search}`);
+  });
+
+  audit.sitemaps = sitemapResult.sitemaps;
+  audit.sitemapUrlCount = sitemapResult.urls.length;
+  // Only sitemaps robots.txt points at count as broken; the fallback locations are just guesses
+  audit.unreachableSitemaps = sitemapResult.unreachable.filter(sitemap => robots.sitemaps.includes(sitemap.url));
+
+  // Check a sample of the listed pages
+  const sample = sitemapResult.urls.slice(0, MAX_SITEMAP_URLS_CHECKED);
+  const probes = await mapWithConcurrency(sample, PROBE_CONCURRENCY, url => probeUrl(url));
+  audit.checkedUrls = probes.length;
+  probes.forEach(probe => {
+    if (probe.error || probe.status >= 400) {
+      audit.brokenUrls.push({ url: probe.url, status: probe.error ? 'error' : probe.status });
+    } else if (probe.status >= 300) {
+      audit.redirectingUrls.push({ url: probe.url, status: probe.status, location: probe.location });
+    }
+  });
+
+  return audit;
+}
+
+module.exports = {
+  auditRobotsAndSitemaps,
+  fetchCrawlerFiles,
+  parseRobotsTxt,
+  parseSitemap,
+  isPathAllowed
+};
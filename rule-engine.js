@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default rule set - every built-in check with its category, weight and options
+const DEFAULT_RULES_PATH = path.join(__dirname, 'config', 'scoring-rules.json');
+
+// Parsed rule config files, keyed by absolute path
+const configCache = new Map();
+
+// Helper function to read (and cache) a rule config file
+function readRuleConfig(configPath) {
+  const resolvedPath = path.resolve(configPath);
+  if (!configCache.has(resolvedPath)) {
+    try {
+      configCache.set(resolvedPath, JSON.parse(fs.readFileSync(resolvedPath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Could not load scoring rules from ${resolvedPath}: ${error.message}`);
+    }
+  }
+  return configCache.get(resolvedPath);
+}
+
+// Helper function to merge one config layer (base config or vertical overrides) into a rule set
+function mergeRuleLayer(ruleSet, layer, source) {
+  Object.entries(layer.categories || {}).forEach(([category, settings]) => {
+    ruleSet.categories[category] = { ...ruleSet.categories[category], ...settings };
+  });
+
+  (layer.rules || []).forEach(rule => {
+    if (!rule.id) {
+      throw new Error(`Rule without an id in ${source}`);
+    }
+
+    const existing = ruleSet.rules[rule.id];
+    const merged = {
+      enabled: true,
+      ...existing,
+      ...rule,
+      options: { ...(existing && existing.options), ...rule.options }
+    };
+
+    if (!merged.category || typeof merged.weight !== 'number') {
+      throw new Error(`Rule "${rule.id}" in ${source} needs a category and a numeric weight`);
+    }
+    ruleSet.rules[rule.id] = merged;
+  });
+}
+
+/**
+ * Load the scoring rule set: the default rules, then an optional custom config file,
+ * then the overrides for the business vertical (e.g. "lawyers") if either file has one
+ * @param {Object} [options] - Loading options
+ * @param {string} [options.rulesPath] - Custom rule config merged over the default rules
+ * @param {string} [options.vertical] - Business vertical whose overrides should apply
+ * @returns {Object} - Rule set with `categories`, `rules` keyed by id and the applied `vertical`
+ */
+function loadRuleSet(options = {}) {
+  const sources = [DEFAULT_RULES_PATH];
+  if (options.rulesPath) sources.push(options.rulesPath);
+
+  const ruleSet = { categories: {}, rules: {}, vertical: null };
+  const verticalLayers = [];
+  const verticalName = options.vertical ? options.vertical.trim().toLowerCase() : null;
+
+  sources.forEach(source => {
+    const config = readRuleConfig(source);
+    mergeRuleLayer(ruleSet, config, source);
+
+    Object.entries(config.verticals || {}).forEach(([name, overrides]) => {
+      if (name.trim().toLowerCase() === verticalName) {
+        verticalLayers.push({ overrides, source });
+      }
+    });
+  });
+
+  verticalLayers.forEach(({ overrides, source }) => {
+    mergeRuleLayer(ruleSet, overrides, `${source} (vertical "${options.vertical}")`);
+    ruleSet.vertical = verticalName;
+  });
+
+  Object.values(ruleSet.rules).forEach(rule => {
+    if (!ruleSet.categories[rule.category]) {
+      throw new Error(`Rule "${rule.id}" uses unknown category "${rule.category}"`);
+    }
+  });
+
+  return ruleSet;
+}
+
+/**
+ * Run every enabled rule that has a check against the collected page facts.
+ * A check returns nothing when the page passes, or a message (optionally with a
+ * `factor` between 0 and 1 to apply only part of the rule's weight)
+ * @param {Object} ruleSet - Rule set from loadRuleSet
+ * @param {Object} checks - Check functions keyed by rule id
+ * @param {Object} facts - Facts collected from the page
+ * @returns {Array<Object>} - Findings with ruleId, category, message and penalty
+ */
+function applyRules(ruleSet, checks, facts) {
+  const findings = [];
+
+  Object.values(ruleSet.rules).forEach(rule => {
+    // Rules without a check here belong to checks that did not run for these facts
+    const check = checks[rule.id];
+    if (!rule.enabled || !check) return;
+
+    let outcome;
+    try {
+      outcome = check(facts, rule.options || {});
+    } catch (error) {
+      console.error(`Error running rule ${rule.id}: ${error.message}`);
+      return;
+    }
+    if (!outcome) return;
+
+    const { message, factor = 1 } = typeof outcome === 'string' ? { message: outcome } : outcome;
+    findings.push({
+      ruleId: rule.id,
+      category: rule.category,
+      message,
+      penalty: rule.weight * Math.min(1, Math.max(0, factor))
+    });
+  });
+
+  return findings;
+}
+
+/**
+ * Turn findings into category scores and an overall score
+ * @param {number} baseScore - Score before deductions (100, or lower for error pages)
+ * @param {Array<Object>} findings - Findings from applyRules
+ * @param {Object} categories - Category settings from the rule set
+ * @returns {Object} - Overall `score` and `categoryScores`
+ */
+function calculateScores(baseScore, findings, categories) {
+  const categoryScores = {};
+  let totalPenalty = 0;
+
+  Object.entries(categories).forEach(([category, { impact = 0, maxPenalty }]) => {
+    const lost = findings
+      .filter(finding => finding.category === category)
+      .reduce((sum, finding) => sum + (finding.penalty || 0), 0);
+
+    categoryScores[category] = Math.max(0, Math.round(100 - lost));
+    totalPenalty += typeof maxPenalty === 'number' ? Math.min(maxPenalty, lost * impact) : lost * impact;
+  });
+
+  return {
+    score: Math.max(0, Math.round(baseScore - totalPenalty)),
+    categoryScores
+  };
+}
+
+module.exports = { loadRuleSet, applyRules, calculateScores, DEFAULT_RULES_PATH };
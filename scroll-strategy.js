@@ -0,0 +1,244 @@
+// Infinite-scroll strategy for the Google Maps results feed, grown out of the
+// experiments in scroll-analyzer.js. It finds the feed container (the registry's
+// chain, else the scrollable element holding the most listing links), scrolls it
+// with scrollTop, the mouse wheel or the keyboard - whichever last loaded listings
+// goes first - and waits for the new listings to arrive instead of for a fixed time.
+// When it stops, it says why
+const { findElement } = require('./maps-selectors');
+
+// Helper function to wait for a given time
+const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Ways of scrolling the feed, in the order they're first tried
+const SCROLL_METHODS = ['scrollTop', 'wheel', 'keyboard'];
+
+// Scroll rounds in a row (each trying every method) without a new listing before giving up
+const MAX_IDLE_SCROLLS = 3;
+
+// How long a scroll may take to load new listings...
+const SETTLE_TIME = 5000;
+
+// ...checked this often
+const POLL_INTERVAL = 500;
+
+// Links every listing in the feed has, whatever its classes
+const LISTING_LINK_SELECTOR = 'a[href*="/maps/place/"]';
+
+// Text of the marker Maps puts below the last result
+const END_OF_LIST_PATTERN = /reached the end of the list/i;
+
+// Why scrolling stopped
+const STOP_REASONS = {
+  'end-of-list': 'Maps showed "You\'ve reached the end of the list"',
+  'no-container': 'no scrollable results feed was found',
+  'no-new-results': 'no new listings loaded after repeated scrolls'
+};
+
+class FeedScroller {
+  /**
+   * Scroll one Google Maps results feed
+   * @param {Object} page - Puppeteer page showing Maps search results
+   * @param {Object} selectors - Fallback chains from loadSelectors
+   * @param {Object} [options] - Scroll options
+   * @param {SelectorHealth} [options.health] - Counts the resultsFeed lookups of the run
+   * @param {number} [options.maxIdleScrolls] - Scroll rounds without new listings before stopping
+   * @param {number} [options.settleTime] - Milliseconds to wait for a scroll to load listings
+   */
+  constructor(page, selectors, options = {}) {
+    this.page = page;
+    this.selectors = selectors;
+    this.health = options.health || null;
+    this.maxIdleScrolls = options.maxIdleScrolls || MAX_IDLE_SCROLLS;
+    this.settleTime = options.settleTime || SETTLE_TIME;
+    this.methodStats = Object.fromEntries(SCROLL_METHODS.map(method => [method, { attempts: 0, loaded: 0 }]));
+    this.preferredMethod = null;  // Method that last loaded listings
+    this.reset();
+  }
+
+  /**
+   * Start over on a new results page, keeping the method that worked
+   */
+  reset() {
+    this.container = null;
+    this.containerSource = null;
+    this.idleScrolls = 0;
+    this.scrolls = 0;
+    this.listingCount = 0;
+    this.stopReason = null;
+  }
+
+  /**
+   * Find the results feed: the registry's resultsFeed chain when it matches something
+   * scrollable, else the scrollable element with the most listing links
+   * @returns {Promise<Object|null>} - Element handle of the feed, or null when there is none
+   */
+  async detectContainer() {
+    const registered = this.health
+      ? await this.health.findElement(this.page, 'resultsFeed')
+      : await findElement(this.page, this.selectors.resultsFeed || []);
+    if (registered && await this.page.evaluate(el => el.scrollHeight > el.clientHeight, registered).catch(() => false)) {
+      this.container = registered;
+      this.containerSource = 'registry';
+      return registered;
+    }
+
+    const detected = await this.page.evaluateHandle(linkSelector => {
+      let best = null;
+      let bestCount = 0;
+      for (const element of document.querySelectorAll('div')) {
+        const { overflowY } = getComputedStyle(element);
+        if (!/auto|scroll/.test(overflowY) || element.scrollHeight <= element.clientHeight) continue;
+        // >= so the innermost of nested scrollables with the same listings wins
+        const count = element.querySelectorAll(linkSelector).length;
+        if (count > 0 && count >= bestCount) {
+          best = element;
+          bestCount = count;
+        }
+      }
+      return best;
+    }, LISTING_LINK_SELECTOR).catch(() => null);
+
+    this.container = detected && detected.asElement();
+    this.containerSource = this.container ? 'detected' : null;
+    if (this.container) console.log('Results feed found by scanning for scrollable listing containers');
+    return this.container;
+  }
+
+  // Helper function to count the listings loaded into the feed
+  async countListings() {
+    return this.page.evaluate((container, chain, linkSelector) => {
+      for (const selector of [...chain, linkSelector]) {
+        const count = container.querySelectorAll(selector).length;
+        if (count > 0) return count;
+      }
+      return 0;
+    }, this.container, this.selectors.listing || [], LISTING_LINK_SELECTOR).catch(() => 0);
+  }
+
+  // Helper function to check for the "You've reached the end of the list" marker
+  async atEndOfList() {
+    return this.page.evaluate((container, chain, pattern) => {
+      if (chain.some(selector => document.querySelector(selector) !== null)) return true;
+      // The marker is one of the last few children of the feed
+      return Array.from(container.children).slice(-3).some(child => new RegExp(pattern, 'i').test(child.textContent));
+    }, this.container, this.selectors.endOfList || [], END_OF_LIST_PATTERN.source).catch(() => false);
+  }
+
+  // Helper function to read the feed's height and whether it's scrolled to the bottom
+  async feedState() {
+    return this.page.evaluate(container => ({
+      scrollHeight: container.scrollHeight,
+      atBottom: container.scrollTop + container.clientHeight >= container.scrollHeight - 1
+    }), this.container).catch(() => ({ scrollHeight: 0, atBottom: false }));
+  }
+
+  // Helper function to scroll the feed one way
+  async scrollWith(method) {
+    if (method === 'scrollTop') {
+      await this.page.evaluate(container => {
+        container.scrollTop = container.scrollHeight;
+      }, this.container);
+    } else if (method === 'wheel') {
+      const box = await this.container.boundingBox();
+      if (!box) return;
+      await this.page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+      await this.page.mouse.wheel({ deltaY: box.height * 3 });
+    } else if (method === 'keyboard') {
+      await this.page.evaluate(container => {
+        if (!container.hasAttribute('tabindex')) container.setAttribute('tabindex', '-1');
+        container.focus();
+      }, this.container);
+      await this.page.keyboard.press('End');
+    }
+  }
+
+  // Helper function to wait until the feed holds more than `count` listings or the list ends
+  async waitForListings(count) {
+    for (let waited = 0; waited < this.settleTime; waited += POLL_INTERVAL) {
+      await waitFor(POLL_INTERVAL);
+      const current = await this.countListings();
+      if (current > count) return current;
+      if (await this.atEndOfList()) return current;
+    }
+    return this.countListings();
+  }
+
+  /**
+   * Scroll the feed once, trying each method (the last one that worked first) until
+   * new listings load. A method that reached the bottom without the feed growing means
+   * the feed is exhausted for now, so the remaining methods are skipped
+   * @returns {Promise<boolean>} - Whether scrolling may continue; stopReason says why not
+   */
+  async scroll() {
+    if (this.stopReason) return false;
+
+    // Maps re-renders the feed on a new page, leaving the old handle detached
+    const connected = this.container && await this.page.evaluate(el => el.isConnected, this.container).catch(() => false);
+    if (!connected && !(await this.detectContainer())) return this.stop('no-container');
+
+    if (await this.atEndOfList()) return this.stop('end-of-list');
+
+    this.scrolls++;
+    const before = await this.countListings();
+    const { scrollHeight } = await this.feedState();
+    const methods = this.preferredMethod
+      ? [this.preferredMethod, ...SCROLL_METHODS.filter(method => method !== this.preferredMethod)]
+      : SCROLL_METHODS;
+
+    for (const method of methods) {
+      this.methodStats[method].attempts++;
+      await this.scrollWith(method).catch(error => console.error(`Error scrolling with ${method}: ${error.message}`));
+      const after = await this.waitForListings(before);
+
+      if (after > before) {
+        this.methodStats[method].loaded += after - before;
+        this.preferredMethod = method;
+        this.listingCount = after;
+        this.idleScrolls = 0;
+        return true;
+      }
+      if (await this.atEndOfList()) return this.stop('end-of-list');
+
+      const state = await this.feedState();
+      if (state.atBottom && state.scrollHeight === scrollHeight) break;
+    }
+
+    this.listingCount = before;
+    if (++this.idleScrolls >= this.maxIdleScrolls) return this.stop('no-new-results');
+    return true;
+  }
+
+  // Helper function to record why scrolling stopped
+  stop(reason) {
+    this.stopReason = reason;
+    return false;
+  }
+
+  /**
+   * How the scrolling went
+   * @returns {Object} - { stopReason, description, scrolls, listings, container, preferredMethod, methods }
+   */
+  getReport() {
+    return {
+      stopReason: this.stopReason,
+      description: this.stopReason ? STOP_REASONS[this.stopReason] : null,
+      scrolls: this.scrolls,
+      listings: this.listingCount,
+      container: this.containerSource,
+      preferredMethod: this.preferredMethod,
+      methods: this.methodStats
+    };
+  }
+
+  /**
+   * Report as a printable line
+   * @returns {string} - e.g. "Scrolling stopped: ... (120 listings after 14 scrolls, last loaded with wheel)"
+   */
+  formatReport() {
+    const { description, scrolls, listings, preferredMethod } = this.getReport();
+    return `Scrolling stopped: ${description || 'still scrolling'} (${listings} listings after ${scrolls} scrolls${
+      preferredMethod ? `, last loaded with ${preferredMethod}` : ''})`;
+  }
+}
+
+module.exports = { FeedScroller, SCROLL_METHODS, STOP_REASONS };
@@ -0,0 +1,149 @@
+// Security posture of the homepage beyond the certificate: the http:// to https://
+// redirect, security headers, the TLS version and cookie flags. Every check carries
+// its own severity so the report can rank what to fix first
+
+const { probeUrl } = require('./http-utils');
+
+// Severity of a failed check, and the share of its rule's weight it costs
+const SEVERITIES = {
+  high: { label: 'High', factor: 1 },
+  medium: { label: 'Medium', factor: 0.6 },
+  low: { label: 'Low', factor: 0.3 }
+};
+
+// HSTS should be remembered for at least 180 days
+const HSTS_MIN_MAX_AGE = 15552000;
+
+// Protocols browsers have deprecated
+const OUTDATED_PROTOCOL_PATTERN = /^(SSL|TLS 1\.[01]$)/i;
+
+// Redirects followed from http:// before giving up on reaching https://
+const MAX_REDIRECT_HOPS = 5;
+
+// Cookies that carry a login or session - readable from JavaScript they can be stolen via XSS
+const SESSION_COOKIE_PATTERN = /sess|sid$|auth|token|login|logged_in/i;
+
+// Helper function to build one check result
+const check = (id, label, severity, passed, message) => ({ id, label, severity, passed, message });
+
+// Helper function to check the http:// version of an HTTPS site sends visitors to https://,
+// following redirect chains such as http://example.com -> http://www.example.com -> https://
+async function checkHttpsRedirect(finalUrl) {
+  const label = 'HTTP to HTTPS redirect';
+  let url = `${new URL(finalUrl.replace(/^https:/, 'http:')).origin}/`;
+  let probe = await probeUrl(url);
+  if (probe.error) {
+    // Nothing answers on port 80, so there's no insecure version to reach
+    return check('no-https-redirect', label, 'high', true, 'http:// is not served');
+  }
+
+  const statuses = [];
+  for (let hop = 0; hop < MAX_REDIRECT_HOPS && !probe.error; hop++) {
+    if (probe.status < 300 || probe.status >= 400 || !probe.location) break;
+    statuses.push(probe.status);
+    url = new URL(probe.location, url).href;
+    if (/^https:/i.test(url)) {
+      return check('no-https-redirect', label, 'high', true, `http:// redirects to https:// (${statuses.join(' -> ')})`);
+    }
+    probe = await probeUrl(url);
+  }
+
+  return check('no-https-redirect', label, 'high', false,
+    `http:// version of the site loads without redirecting to https:// (status ${probe.error ? 'error' : probe.status}) - visitors can browse unencrypted`);
+}
+
+// Helper function to check the security headers of the main document
+function checkHeaders(headers, isHttps) {
+  const checks = [];
+
+  const hsts = headers['strict-transport-security'];
+  const maxAge = hsts ? Number((hsts.match(/max-age=(\d+)/i) || [])[1] || 0) : 0;
+  if (isHttps) {
+    if (!hsts) {
+      checks.push(check('missing-hsts', 'Strict-Transport-Security (HSTS)', 'medium', false, 'No HSTS header - browsers may still connect over plain HTTP first'));
+    } else if (maxAge < HSTS_MIN_MAX_AGE) {
+      checks.push(check('missing-hsts', 'Strict-Transport-Security (HSTS)', 'low', false, `HSTS is only remembered for ${Math.round(maxAge / 86400)} days - should be at least 180`));
+    } else {
+      checks.push(check('missing-hsts', 'Strict-Transport-Security (HSTS)', 'medium', true, hsts));
+    }
+  }
+
+  const csp = headers['content-security-policy'];
+  checks.push(check('missing-csp', 'Content-Security-Policy', 'low', Boolean(csp),
+    csp ? 'Set' : 'No Content-Security-Policy - nothing limits which scripts can run on the site'));
+
+  // CSP frame-ancestors supersedes X-Frame-Options
+  const frameOptions = headers['x-frame-options'];
+  const frameAncestors = csp && /frame-ancestors/i.test(csp);
+  checks.push(check('missing-frame-options', 'X-Frame-Options', 'medium', Boolean(frameOptions || frameAncestors),
+    frameOptions || (frameAncestors ? 'CSP frame-ancestors' : 'Site can be embedded in other pages - open to clickjacking')));
+
+  const contentTypeOptions = headers['x-content-type-options'];
+  const nosniff = /nosniff/i.test(contentTypeOptions || '');
+  checks.push(check('missing-content-type-options', 'X-Content-Type-Options', 'low', nosniff,
+    nosniff ? 'nosniff' : 'X-Content-Type-Options is not "nosniff" - browsers may guess file types'));
+
+  const referrerPolicy = headers['referrer-policy'];
+  checks.push(check('missing-referrer-policy', 'Referrer-Policy', 'low', Boolean(referrerPolicy),
+    referrerPolicy || 'No Referrer-Policy - full page URLs leak to other sites'));
+
+  return checks;
+}
+
+// Helper function to check the TLS protocol version negotiated for the page
+function checkProtocol(protocol) {
+  const outdated = OUTDATED_PROTOCOL_PATTERN.test(protocol);
+  return check('outdated-tls', 'TLS version', 'high', !outdated, outdated
+    ? `Connection uses ${protocol} - deprecated and blocked by modern browsers`
+    : protocol);
+}
+
+// Helper function to check the flags of the cookies the homepage sets
+function checkCookies(cookies, isHttps) {
+  const withoutSecure = isHttps ? cookies.filter(cookie => !cookie.secure).map(cookie => cookie.name) : [];
+  const withoutHttpOnly = cookies
+    .filter(cookie => !cookie.httpOnly && SESSION_COOKIE_PATTERN.test(cookie.name))
+    .map(cookie => cookie.name);
+
+  if (withoutSecure.length === 0 && withoutHttpOnly.length === 0) {
+    return check('insecure-cookies', 'Cookie flags', 'medium', true, `${cookies.length} cookies checked`);
+  }
+
+  const problems = [
+    withoutSecure.length > 0 ? `without Secure: ${withoutSecure.join(', ')}` : null,
+    withoutHttpOnly.length > 0 ? `session cookies without HttpOnly: ${withoutHttpOnly.join(', ')}` : null
+  ].filter(Boolean);
+  return check('insecure-cookies', 'Cookie flags', withoutHttpOnly.length > 0 ? 'high' : 'medium', false,
+    `Cookies ${problems.join('; ')}`);
+}
+
+/**
+ * Audit the homepage's HTTPS redirect, security headers, TLS version and cookies
+ * @param {Object} page - Puppeteer page with the homepage loaded
+ * @param {Object} response - Puppeteer response of the main navigation
+ * @returns {Promise<Object>} - { protocol, checks: [{ id, label, severity, passed, message }] }, or null on failure
+ */
+async function auditSecurity(page, response) {
+  try {
+    const finalUrl = response.url();
+    const isHttps = finalUrl.startsWith('https://');
+    const security = response.securityDetails();
+    const protocol = security ? security.protocol() : null;
+    const cookies = await page.cookies();
+
+    // Sites without HTTPS are already penalized by the certificate rules, so the redirect isn't checked
+    const checks = [
+      ...(isHttps ? [await checkHttpsRedirect(finalUrl)] : []),
+      ...checkHeaders(response.headers(), isHttps),
+      ...(protocol ? [checkProtocol(protocol)] : []),
+      checkCookies(cookies, isHttps)
+    ];
+
+    return { protocol, checks };
+  } catch (error) {
+    console.error(`Security audit failed for ${page.url()}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = { auditSecurity, SEVERITIES };
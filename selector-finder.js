@@ -1,28 +1,50 @@
 const puppeteer = require('puppeteer');
+const { loadSelectors, findElement, saveSelector } = require('./maps-selectors');
 
 // Helper function to wait for a given time
 const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Helper function to find selectors
-async function findSelector(page, defaultSelector, backupSelector) {
+// Guesses tried after a field's registry chain, for when Maps renames its classes
+const CANDIDATE_SELECTORS = {
+  listingName: ['h3', 'div[role="article"] [aria-label]'],
+  listingRating: ['span[role="img"][aria-label*="star" i]', 'span[aria-hidden="true"]'],
+  resultsFeed: ['.m6QErb.DxyBCb', '.m6QErb', '.section-scrollbox'],
+  detailsRating: ['span[role="img"][aria-label*="star" i]'],
+  detailsPhone: ['button[data-item-id="phone:tel"]', 'a[href^="tel:"]']
+};
+
+// Helper function to find the first selector of a field's chain (then its candidates) that matches
+async function findSelector(scope, chain, candidates = []) {
   try {
-    const element = await page.$(defaultSelector);
-    if (element) return defaultSelector;
-    
-    const backupElement = await page.$(backupSelector);
-    if (backupElement) return backupSelector;
-    
+    for (const selector of [...chain, ...candidates]) {
+      if (await scope.$(selector)) return selector;
+    }
     return 'Not found';
   } catch (error) {
     return 'Error finding selector';
   }
 }
 
-// Main function to find selectors
-async function findSelectors(searchQuery) {
+// Main function to find selectors. With `save`, working selectors are written back to the
+// registry: a fallback that matched moves to the front of its chain, and a candidate that
+// matched when the whole chain failed is added in front
+async function findSelectors(searchQuery, options = {}) {
   console.log(`Starting selector finder for query: ${searchQuery}`);
+  const selectors = loadSelectors(options.selectorsPath);
+  const discoveries = {};
+  
+  // Helper function to check one registry field and log the result
+  const checkField = async (scope, field, label) => {
+    const selector = await findSelector(scope, selectors[field], CANDIDATE_SELECTORS[field]);
+    const note = selector === selectors[field][0] || selector === 'Not found' || selector === 'Error finding selector'
+      ? ''
+      : selectors[field].includes(selector) ? ' (fallback)' : ' (new)';
+    console.log(`${label} selector: ${selector}${note}`);
+    if (note) discoveries[field] = selector;
+    return selector;
+  };
   
-  const browser = await puppeteer.launch({ 
+  const browser = await puppeteer.launch({
     headless: false, // Show browser for visual confirmation
     defaultViewport: { width: 1366, height: 768 }
   });
@@ -38,11 +60,11 @@ async function findSelectors(searchQuery) {
     console.log('Loaded Google Maps');
     
     // Wait for and click on the search input
-    await page.waitForSelector('#searchboxinput', { visible: true });
-    await page.click('#searchboxinput');
+    const searchInput = await page.waitForSelector(selectors.searchInput.join(', '), { visible: true });
+    await searchInput.click();
     
     // Type the search query
-    await page.type('#searchboxinput', searchQuery);
+    await searchInput.type(searchQuery);
     await page.keyboard.press('Enter');
     console.log('Entered search query');
     
@@ -53,63 +75,59 @@ async function findSelectors(searchQuery) {
     console.log('\n==== SELECTORS IDENTIFIED ====\n');
     
     // Identify listing elements
-    const listingSelector = await findSelector(page, 'div[role="article"]', '.Nv2PK');
-    console.log(`Business listing selector: ${listingSelector}`);
+    const listingSelector = await checkField(page, 'listing', 'Business listing');
     
-    // Business name selector
-    const nameSelector = await findSelector(page, 'h3', '.qBF1Pd');
-    console.log(`Business name selector: ${nameSelector}`);
-    
-    // Business rating selector
-    const ratingSelector = await findSelector(page, 'span[aria-hidden="true"]', '.MW4etd');
-    console.log(`Business rating selector: ${ratingSelector}`);
-    
-    // Business website link selector
-    const websiteLinkSelector = await findSelector(page, 'a[data-item-id="authority"]', 'a[data-item-id="authority"]');
-    console.log(`Business website link selector: ${websiteLinkSelector}`);
-    
-    // Business phone selector
-    const phoneSelector = await findSelector(page, 'button[data-item-id="phone:tel"]', 'button[data-item-id="phone:tel"]');
-    console.log(`Business phone selector: ${phoneSelector}`);
+    // Name and rating are looked up inside the first listing
+    const firstResult = await findElement(page, selectors.listing);
+    if (firstResult) {
+      await checkField(firstResult, 'listingName', 'Business name');
+      await checkField(firstResult, 'listingRating', 'Business rating');
+    }
     
     console.log('\nTesting clicking on a result...');
     // Click on the first result to check for more details
-    const firstResult = await page.$(`${listingSelector}:first-child`);
     if (firstResult) {
       await firstResult.click();
-      console.log('Clicked on first result');
+      console.log(`Clicked on first result (${listingSelector})`);
       
       await waitFor(3000);
       
       // More detailed selectors inside the business details panel
-      const detailsNameSelector = await findSelector(page, 'h1', 'h1.DUwDvf');
-      console.log(`Business details name selector: ${detailsNameSelector}`);
-      
-      const detailsAddressSelector = await findSelector(page, 'button[data-item-id="address"]', 'button[data-item-id="address"]');
-      console.log(`Business details address selector: ${detailsAddressSelector}`);
-      
-      const detailsPhoneSelector = await findSelector(page, 'button[data-item-id^="phone:"]', 'button[data-item-id^="phone:"]');
-      console.log(`Business details phone selector: ${detailsPhoneSelector}`);
-      
-      const detailsWebsiteSelector = await findSelector(page, 'a[data-item-id="authority"]', 'a[data-item-id="authority"]');
-      console.log(`Business details website selector: ${detailsWebsiteSelector}`);
-      
-      const detailsRatingSelector = await findSelector(page, '.F7nice', '.F7nice');
-      console.log(`Business details rating selector: ${detailsRatingSelector}`);
+      await checkField(page, 'detailsName', 'Business details name');
+      await checkField(page, 'detailsAddress', 'Business details address');
+      await checkField(page, 'detailsPhone', 'Business details phone');
+      await checkField(page, 'detailsWebsite', 'Business details website');
+      await checkField(page, 'detailsRating', 'Business details rating');
+      await checkField(page, 'detailsReviewCount', 'Business details review count');
+      await checkField(page, 'detailsCategory', 'Business details category');
+      await checkField(page, 'detailsHours', 'Business details opening hours');
+      await checkField(page, 'detailsPrice', 'Business details price level');
+      await checkField(page, 'detailsPlusCode', 'Business details plus code');
+      await checkField(page, 'detailsPhotos', 'Business details photos');
+      await checkField(page, 'detailsClaimBusiness', 'Business details claim link (unclaimed listings only)');
+      await checkField(page, 'detailsAttributes', 'Business details attributes');
+      await checkField(page, 'detailsBooking', 'Business details online booking');
     }
     
     // Test scrolling
     console.log('\nTesting scrolling...');
-    const scrollContainer = await findSelector(page, '.m6QErb[aria-label]', '.m6QErb[aria-label]');
-    console.log(`Scroll container selector: ${scrollContainer}`);
+    await checkField(page, 'resultsFeed', 'Scroll container');
     
     // Test next page button
     console.log('\nTesting next page button...');
-    const nextPageSelector = await findSelector(page, 'button[aria-label="Next page"]', 'button[aria-label="Next page"]');
-    console.log(`Next page button selector: ${nextPageSelector}`);
+    await checkField(page, 'nextPage', 'Next page button');
+    
+    if (options.save) {
+      Object.entries(discoveries).forEach(([field, selector]) => {
+        if (saveSelector(field, selector, options.selectorsPath)) {
+          console.log(`Saved ${selector} as the first ${field} selector`);
+        }
+      });
+    } else if (Object.keys(discoveries).length > 0) {
+      console.log('\nRun with --save to write the fallback and new selectors above to config/maps-selectors.json');
+    }
     
     console.log('\n==== SELECTOR FINDER COMPLETED ====');
-    console.log('You can now use these selectors in your main script.');
     
   } catch (error) {
     console.error('Error finding selectors:', error);
@@ -119,17 +137,22 @@ async function findSelectors(searchQuery) {
     await waitFor(30000);
     await browser.close();
   }
+  
+  return discoveries;
 }
 
-// Get search query from command line arguments
-const searchQuery = process.argv[2] || 'restaurants in New York';
-
-// Run the selector finder
-findSelectors(searchQuery)
-  .then(() => process.exit(0))
-  .catch(err => {
-    console.error(err);
-    process.exit(1);
-  });
+// If run directly (not imported)
+if (require.main === module) {
+  // Get search query from command line arguments
+  const searchQuery = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : 'restaurants in New York';
+  
+  // Run the selector finder
+  findSelectors(searchQuery, { save: process.argv.includes('--save') })
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
 
-module.exports = { findSelectors }; 
\ No newline at end of file
+module.exports = { findSelectors };
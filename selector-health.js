@@ -0,0 +1,175 @@
+// Selector health for the Google Maps scrapers. Every field lookup goes through the
+// registry's fallback chain (see maps-selectors.js), then through semantic heuristics
+// (ARIA roles, data-item-id patterns, heading structure) that survive class renames.
+// Each lookup is counted, so a run can warn as soon as a selector stops matching, end
+// with a per-field summary, and abort when critical fields keep failing instead of
+// quietly collecting 0 businesses
+
+// Markup-independent guesses per field, tried after the registry chain
+const SEMANTIC_HEURISTICS = {
+  searchInput: ['input[role="combobox"]', 'input[aria-label*="search" i]'],
+  resultsFeed: ['[role="feed"]', '[role="main"] [aria-label][tabindex="-1"]'],
+  nextPage: ['button[aria-label*="next" i]'],
+  listing: ['[role="feed"] div:has(> a[href*="/maps/place/"])'],
+  // The link covering each listing is labelled with the business name
+  listingName: ['[role="heading"]', 'a[href*="/maps/place/"][aria-label]'],
+  listingRating: ['[role="img"][aria-label*="star" i]'],
+  detailsName: ['[role="main"] h1', '[role="main"][aria-label]'],
+  detailsAddress: ['[data-item-id*="address"]', '[aria-label^="Address:" i]'],
+  detailsPhone: ['[data-item-id*="phone"]', 'a[href^="tel:"]', '[aria-label^="Phone:" i]'],
+  detailsRating: ['[role="main"] [role="img"][aria-label*="star" i]'],
+  detailsWebsite: ['a[data-item-id*="authority"]', 'a[aria-label^="Website:" i]'],
+  detailsReviewCount: ['[role="main"] [aria-label*="reviews" i]'],
+  detailsCategory: ['[role="main"] button[jsaction*="category"]'],
+  detailsHours: ['[role="main"] [aria-label*="Monday" i]'],
+  detailsPrice: ['[role="main"] [aria-label^="Price" i]'],
+  detailsPlusCode: ['[data-item-id="oloc"]', '[aria-label^="Plus code:" i]'],
+  detailsPhotos: ['[role="main"] button[aria-label*="photo" i]'],
+  detailsClaimBusiness: ['[aria-label*="Claim this business" i]'],
+  detailsAttributes: ['[role="main"] [aria-label*="wheelchair" i]'],
+  detailsBooking: ['[role="main"] a[aria-label*="reserve" i]', '[role="main"] a[aria-label*="appointment" i]']
+};
+
+// Fields without which a run collects nothing
+const CRITICAL_FIELDS = ['listing', 'listingName', 'detailsName'];
+
+// A critical field failing on more than this share of lookups aborts the run...
+const MAX_FAILURE_RATE = 0.5;
+
+// ...once it has been looked up at least this many times
+const MIN_ATTEMPTS = 5;
+
+class SelectorHealth {
+  /**
+   * Track selector lookups for one scraping run
+   * @param {Object} selectors - Fallback chains from loadSelectors
+   * @param {Object} [options] - Health options
+   * @param {Array<string>} [options.criticalFields] - Fields whose failures abort the run
+   * @param {number} [options.maxFailureRate] - Share of failed lookups (0-1) a critical field may reach
+   * @param {number} [options.minAttempts] - Lookups before a critical field's failure rate is judged
+   */
+  constructor(selectors, options = {}) {
+    this.selectors = selectors;
+    this.criticalFields = options.criticalFields || CRITICAL_FIELDS;
+    this.maxFailureRate = typeof options.maxFailureRate === 'number' ? options.maxFailureRate : MAX_FAILURE_RATE;
+    this.minAttempts = options.minAttempts || MIN_ATTEMPTS;
+    this.fields = {};
+  }
+
+  /**
+   * Find the first element for a field
+   * @param {Object} scope - Puppeteer page or element handle to search in
+   * @param {string} field - Registry field, e.g. 'detailsPhone'
+   * @returns {Promise<Object|null>} - Element handle, or null when nothing matched
+   */
+  async findElement(scope, field) {
+    const elements = await this.lookup(scope, field, async selector => {
+      const element = await scope.$(selector);
+      return element ? [element] : [];
+    });
+    return elements[0] || null;
+  }
+
+  /**
+   * Find every element for a field, from the first selector that matches anything
+   * @param {Object} scope - Puppeteer page or element handle to search in
+   * @param {string} field - Registry field, e.g. 'listing'
+   * @returns {Promise<Array<Object>>} - Element handles, empty when nothing matched
+   */
+  async findElements(scope, field) {
+    return this.lookup(scope, field, selector => scope.$$(selector));
+  }
+
+  // Helper function to try a field's chain, then its heuristics, and record how it went
+  async lookup(scope, field, query) {
+    const chain = this.selectors[field] || [];
+    const candidates = [
+      ...chain.map((selector, index) => ({ selector, source: index === 0 ? 'primary' : 'fallback' })),
+      ...(SEMANTIC_HEURISTICS[field] || []).map(selector => ({ selector, source: 'heuristic' }))
+    ];
+
+    for (const { selector, source } of candidates) {
+      const elements = await query(selector).catch(() => []);
+      if (elements.length > 0) {
+        this.record(field, source, selector);
+        return elements;
+      }
+    }
+    this.record(field, 'failed', null);
+    return [];
+  }
+
+  /**
+   * Count one lookup of a field, warning the first time it has to fall back or fails
+   * @param {string} field - Registry field
+   * @param {string} source - 'primary', 'fallback', 'heuristic' or 'failed'
+   * @param {string|null} selector - Selector that matched
+   */
+  record(field, source, selector) {
+    if (!this.fields[field]) {
+      this.fields[field] = { attempts: 0, primary: 0, fallback: 0, heuristic: 0, failed: 0, selectors: {}, warned: new Set() };
+    }
+    const stats = this.fields[field];
+    stats.attempts++;
+    stats[source]++;
+    if (selector) stats.selectors[selector] = (stats.selectors[selector] || 0) + 1;
+
+    // Warn once per fallback selector (and once for failures) rather than on every lookup
+    const warning = source === 'primary' ? null : selector || 'failed';
+    if (warning && !stats.warned.has(warning)) {
+      stats.warned.add(warning);
+      const [primarySelector] = this.selectors[field] || [];
+      if (source === 'failed') {
+        if (this.criticalFields.includes(field)) {
+          console.warn(`Selector health: no selector or heuristic matched ${field}`);
+        }
+      } else {
+        console.warn(`Selector health: ${primarySelector || 'registry chain'} stopped matching ${field} - using ${source} ${selector}`);
+      }
+    }
+  }
+
+  /**
+   * Throw when a critical field has failed on too many lookups
+   * @param {Object} [options] - `final` also judges fields looked up fewer than minAttempts times (end of a run)
+   */
+  assertHealthy(options = {}) {
+    this.criticalFields.forEach(field => {
+      const stats = this.fields[field];
+      if (!stats || (stats.attempts < this.minAttempts && !options.final)) return;
+      const failureRate = stats.failed / stats.attempts;
+      if (failureRate > this.maxFailureRate) {
+        const error = new Error(`Google Maps selectors for "${field}" failed on ${stats.failed} of ${stats.attempts} lookups - ` +
+          'Maps has probably changed its markup. Run "node selector-finder.js --save" to update config/maps-selectors.json');
+        error.selectorHealth = this.getSummary();
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Per-field lookup counts for the run
+   * @returns {Object} - { field: { attempts, primary, fallback, heuristic, failed, successRate, selectors } }
+   */
+  getSummary() {
+    return Object.fromEntries(Object.entries(this.fields).map(([field, { warned, ...stats }]) => [field, {
+      ...stats,
+      successRate: Math.round(((stats.attempts - stats.failed) / stats.attempts) * 100)
+    }]));
+  }
+
+  /**
+   * Summary as printable lines, critical fields marked with *
+   * @returns {string} - Selector health summary
+   */
+  formatSummary() {
+    const lines = Object.entries(this.getSummary()).map(([field, stats]) => {
+      const fallbacks = Object.keys(stats.selectors).filter(selector => selector !== (this.selectors[field] || [])[0]);
+      return `${this.criticalFields.includes(field) ? '*' : ' '} ${field.padEnd(18)} ${stats.attempts - stats.failed}/${stats.attempts} (${stats.successRate}%)${
+        fallbacks.length > 0 ? ` - ${stats.fallback + stats.heuristic} via ${fallbacks.join(', ')}` : ''}`;
+    });
+    return ['==== Selector health (* = critical) ====', ...lines].join('\n');
+  }
+}
+
+module.exports = { SelectorHealth, SEMANTIC_HEURISTICS, CRITICAL_FIELDS };
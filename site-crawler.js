@@ -0,0 +1,118 @@
+const { fetchCrawlerFiles } = require('./robots-audit');
+
+// Default number of pages (including the homepage) evaluated by a crawl
+const DEFAULT_MAX_PAGES = 5;
+
+// Link text or paths pointing at the pages most likely to hold contact details and services
+const KEY_PAGE_PATTERN = /contact|about|service|location|appointment|book|schedule|team|menu|pricing/i;
+
+// Links that never lead to an HTML page
+const NON_PAGE_PATTERN = /\.(pdf|jpe?g|png|gif|svg|webp|zip|docx?|xlsx?|mp3|mp4|xml)$/i;
+
+// Sitemap entries considered when picking pages
+const MAX_SITEMAP_PAGES = 50;
+
+// Helper function to resolve a link and strip the parts that don't change the page
+function normalizePageUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    return `${url.origin}${pathname}${url.search}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Same-origin pages linked from the homepage, split into key pages (contact, about,
+ * services...) and everything else
+ * @param {string} homeUrl - Final URL of the homepage
+ * @param {Object} $ - Cheerio root of the homepage
+ * @returns {Object} - { keyPages, otherPages } as normalized URLs
+ */
+function findPageLinks(homeUrl, $) {
+  const origin = new URL(homeUrl).origin;
+  const keyPages = [];
+  const otherPages = [];
+
+  $('a[href]').each((i, el) => {
+    const url = normalizePageUrl($(el).attr('href'), homeUrl);
+    if (!url || NON_PAGE_PATTERN.test(new URL(url).pathname)) return;
+    if (new URL(url).origin !== origin) return;
+
+    const isKeyPage = KEY_PAGE_PATTERN.test(url) || KEY_PAGE_PATTERN.test($(el).text());
+    (isKeyPage ? keyPages : otherPages).push(url);
+  });
+
+  return { keyPages: [...new Set(keyPages)], otherPages: [...new Set(otherPages)] };
+}
+
+/**
+ * Pick the same-origin pages worth evaluating besides the homepage: linked contact,
+ * about and services pages first, then sitemap entries
+ * @param {string} homeUrl - Final URL of the homepage
+ * @param {Object} $ - Cheerio root of the homepage
+ * @param {number} limit - Maximum number of pages to return
+ * @param {Object} [crawlerFiles] - robots.txt and sitemaps from fetchCrawlerFiles, fetched here when missing
+ * @returns {Promise<Array<string>>} - Page URLs to crawl
+ */
+async function discoverPages(homeUrl, $, limit, crawlerFiles) {
+  const homePage = normalizePageUrl(homeUrl);
+  const origin = new URL(homeUrl).origin;
+  const { keyPages, otherPages } = findPageLinks(homeUrl, $);
+
+  const { sitemaps } = crawlerFiles || await fetchCrawlerFiles(homeUrl);
+  const sitemapPages = sitemaps.urls.slice(0, MAX_SITEMAP_PAGES)
+    .map(url => normalizePageUrl(url, homeUrl))
+    .filter(url => url && new URL(url).origin === origin && !NON_PAGE_PATTERN.test(new URL(url).pathname));
+
+  const candidates = [...keyPages, ...sitemapPages.filter(url => KEY_PAGE_PATTERN.test(url)), ...sitemapPages, ...otherPages];
+  return [...new Set(candidates)]
+    .filter(url => url !== homePage)
+    .slice(0, limit);
+}
+
+/**
+ * Shallow-crawl a website's key pages and collect facts for each one. The pages are
+ * loaded one after another in the given tab, so a crawl never opens extra tabs
+ * @param {Object} page - Puppeteer page to load the pages in (the homepage is navigated away from)
+ * @param {string} homeUrl - Final URL of the homepage
+ * @param {Object} $ - Cheerio root of the homepage
+ * @param {Function} collectFacts - Collects the facts for one loaded Puppeteer page
+ * @param {Object} [options] - Crawl options
+ * @param {number} [options.maxPages] - Maximum number of pages, including the homepage
+ * @param {Array<string>} [options.urls] - Pages to crawl instead of discovering them (e.g. from a snapshot)
+ * @param {Object} [options.crawlerFiles] - robots.txt and sitemaps already fetched with fetchCrawlerFiles
+ * @returns {Promise<Array<Object>>} - Facts for every crawled page except the homepage
+ */
+async function crawlSite(page, homeUrl, $, collectFacts, options = {}) {
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const urls = options.urls
+    ? options.urls.slice(0, maxPages - 1)
+    : await discoverPages(homeUrl, $, maxPages - 1, options.crawlerFiles);
+  const pages = [];
+
+  for (const url of urls) {
+    try {
+      const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 20000 }).catch(err => {
+        console.error(`Failed to crawl ${url}: ${err.message}`);
+        return null;
+      });
+
+      // Skip pages that are missing or redirect away from the site
+      if (!response || response.status() >= 400 || new URL(page.url()).origin !== new URL(homeUrl).origin) {
+        continue;
+      }
+
+      pages.push(await collectFacts(page));
+    } catch (error) {
+      console.error(`Error crawling ${url}: ${error.message}`);
+    }
+  }
+
+  console.log(`Crawled ${pages.length} additional pages`);
+  return pages;
+}
+
+module.exports = { crawlSite, discoverPages, findPageLinks, normalizePageUrl, DEFAULT_MAX_PAGES };
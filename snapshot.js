@@ -0,0 +1,183 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Snapshot directory layout: manifest.json plus one file per recorded response body
+const MANIFEST_FILE = 'manifest.json';
+const FILES_DIR = 'files';
+
+// Headers that describe the original transfer, not the decoded body we replay
+const SKIPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+// Helper function to drop the URL fragment, which never reaches the server
+const toRequestKey = (url) => url.split('#')[0];
+
+// Helper function to turn a URL into a safe, readable file name
+const toFileName = (index, url) => {
+  const { hostname, pathname } = new URL(url);
+  const name = `${hostname}${pathname}`.replace(/[^a-z0-9.-]+/gi, '_').slice(0, 80);
+  return `${String(index).padStart(4, '0')}-${name}`;
+};
+
+/**
+ * Load a saved snapshot: a directory written by a capture, or a HAR file
+ * @param {string} snapshotPath - Snapshot directory or .har file
+ * @returns {Promise<Object>} - { url, finalUrl, capturedAt, loadTime, security, robots, pages, responses }
+ *   where responses maps request URLs to { status, headers, body }
+ */
+async function loadSnapshot(snapshotPath) {
+  const stats = await fs.stat(snapshotPath).catch(() => null);
+  if (!stats) {
+    throw new Error(`Snapshot not found: ${snapshotPath}`);
+  }
+  return stats.isDirectory() ? loadSnapshotDirectory(snapshotPath) : loadHarFile(snapshotPath);
+}
+
+// Helper function to load a snapshot directory written by SnapshotRecorder
+async function loadSnapshotDirectory(dir) {
+  const manifest = JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+  const responses = new Map();
+
+  for (const resource of manifest.resources) {
+    const body = resource.file ? await fs.readFile(path.join(dir, FILES_DIR, resource.file)) : Buffer.alloc(0);
+    responses.set(toRequestKey(resource.url), { status: resource.status, headers: resource.headers, body });
+  }
+
+  return { ...manifest, responses };
+}
+
+// Helper function to load a HAR file exported from browser dev tools
+async function loadHarFile(harPath) {
+  const har = JSON.parse(await fs.readFile(harPath, 'utf8'));
+  const entries = (har.log && har.log.entries) || [];
+  if (entries.length === 0) {
+    throw new Error(`HAR file has no entries: ${harPath}`);
+  }
+
+  const responses = new Map();
+  entries.filter(entry => entry.request.method === 'GET').forEach(entry => {
+    const key = toRequestKey(entry.request.url);
+    if (responses.has(key)) return;
+
+    const headers = {};
+    entry.response.headers.forEach(({ name, value }) => {
+      const headerName = name.toLowerCase();
+      headers[headerName] = headers[headerName] ? `${headers[headerName]}\n${value}` : value;
+    });
+    if (entry.response.redirectURL) headers.location = entry.response.redirectURL;
+
+    const { text = '', encoding } = entry.response.content || {};
+    responses.set(key, {
+      status: entry.response.status,
+      headers,
+      body: Buffer.from(text, encoding === 'base64' ? 'base64' : 'utf8')
+    });
+  });
+
+  // The first request is the page itself; follow its redirects to the final URL
+  const url = entries[0].request.url;
+  let finalUrl = url;
+  for (let hops = 0; hops < 10; hops++) {
+    const response = responses.get(toRequestKey(finalUrl));
+    if (!response || !response.headers.location || response.status < 300 || response.status >= 400) break;
+    finalUrl = new URL(response.headers.location, finalUrl).href;
+  }
+
+  const harPage = har.log.pages && har.log.pages[0];
+  return {
+    url,
+    finalUrl,
+    capturedAt: harPage ? harPage.startedDateTime : null,
+    loadTime: harPage && harPage.pageTimings ? Math.round(harPage.pageTimings.onLoad) : null,
+    // HAR files carry no certificate details
+    security: finalUrl.startsWith('https://') ? { validTo: null } : null,
+    robots: null,
+    pages: [],
+    responses
+  };
+}
+
+/**
+ * Answer every request of a page from a snapshot instead of the network.
+ * Requests the snapshot has no response for fail as if the network were down
+ * @param {Object} page - Puppeteer page, before navigating
+ * @param {Object} snapshot - Snapshot from loadSnapshot
+ */
+async function serveSnapshot(page, snapshot) {
+  await page.setRequestInterception(true);
+
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+
+    const url = request.url();
+    if (url.startsWith('data:')) {
+      request.continue();
+      return;
+    }
+
+    const saved = request.method() === 'GET' && snapshot.responses.get(toRequestKey(url));
+    if (!saved) {
+      request.abort('internetdisconnected');
+      return;
+    }
+
+    const headers = Object.fromEntries(Object.entries(saved.headers)
+      .filter(([name]) => !SKIPPED_HEADERS.includes(name.toLowerCase())));
+    request.respond({ status: saved.status, headers, body: saved.body });
+  });
+}
+
+class SnapshotRecorder {
+  /**
+   * Record every response a page receives so the visit can be saved as a snapshot
+   * @param {Object} page - Puppeteer page, before navigating
+   */
+  constructor(page) {
+    this.resources = new Map();
+    this.pending = [];
+    this.listener = (response) => this.pending.push(this.record(response));
+    page.on('response', this.listener);
+  }
+
+  async record(response) {
+    const request = response.request();
+    const url = request.url();
+    if (request.method() !== 'GET' || url.startsWith('data:') || this.resources.has(toRequestKey(url))) return;
+
+    const status = response.status();
+    // Redirects and some cached responses have no body to read
+    const body = status >= 300 && status < 400 ? null : await response.buffer().catch(() => null);
+    this.resources.set(toRequestKey(url), { url, status, headers: response.headers(), body });
+  }
+
+  /**
+   * Write the recorded responses and evaluation metadata to a snapshot directory
+   * @param {string} dir - Directory to write (created if missing)
+   * @param {Object} metadata - { url, finalUrl, loadTime, security, robots, webVitals, network, securityAudit, pages } from the evaluation
+   * @returns {Promise<string>} - Path of the written manifest
+   */
+  async save(dir, metadata) {
+    await Promise.all(this.pending);
+    await fs.mkdir(path.join(dir, FILES_DIR), { recursive: true });
+
+    const resources = [];
+    let index = 0;
+    for (const { url, status, headers, body } of this.resources.values()) {
+      let file = null;
+      if (body) {
+        file = toFileName(index++, url);
+        await fs.writeFile(path.join(dir, FILES_DIR, file), body);
+      }
+      resources.push({ url, status, headers, file });
+    }
+
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    await fs.writeFile(manifestPath, JSON.stringify({
+      capturedAt: new Date().toISOString(),
+      ...metadata,
+      resources
+    }, null, 2));
+    return manifestPath;
+  }
+}
+
+module.exports = { loadSnapshot, serveSnapshot, SnapshotRecorder };
@@ -0,0 +1,258 @@
+// Fingerprints for the website's stack. A technology is detected when any of its
+// signals match: the generator meta tag, script or stylesheet URLs, the page HTML,
+// response headers, or a JavaScript global. Versions come from the first signal
+// that carries one (a regex capture group or a global holding a version string)
+
+const TECHNOLOGY_CATEGORIES = {
+  cms: 'CMS',
+  ecommerce: 'E-commerce',
+  pageBuilder: 'Page Builder',
+  library: 'Library'
+};
+
+const TECHNOLOGIES = [
+  // CMS
+  {
+    name: 'WordPress',
+    category: 'cms',
+    generator: /WordPress\s*([\d.]+)?/i,
+    assets: /\/wp-(?:content|includes)\//,
+    html: /\/wp-content\//
+  },
+  {
+    name: 'Wix',
+    category: 'cms',
+    generator: /Wix\.com/i,
+    assets: /static\.(?:parastorage|wixstatic)\.com/,
+    headers: { 'x-wix-request-id': /./ },
+    globals: ['wixBiSession']
+  },
+  {
+    name: 'Squarespace',
+    category: 'cms',
+    generator: /Squarespace/i,
+    assets: /(?:static1?|assets)\.squarespace\.com/,
+    globals: ['Squarespace']
+  },
+  {
+    name: 'GoDaddy Website Builder',
+    category: 'cms',
+    generator: /(?:Starfield Technologies; )?Go ?Daddy Website Builder\s*([\d.]+)?/i,
+    assets: /img\d*\.wsimg\.com\/(?:blobby|poly)/
+  },
+  {
+    name: 'Weebly',
+    category: 'cms',
+    assets: /cdn\d*\.editmysite\.com/,
+    globals: ['_W.configDomain']
+  },
+  {
+    name: 'Joomla',
+    category: 'cms',
+    generator: /Joomla!?\s*([\d.]+)?/i,
+    assets: /\/media\/(?:jui|system)\/js\//,
+    headers: { 'x-content-encoded-by': /Joomla!?\s*([\d.]+)?/i },
+    globals: ['Joomla']
+  },
+
+  // E-commerce
+  {
+    name: 'Shopify',
+    category: 'ecommerce',
+    assets: /cdn\.shopify\.com/,
+    headers: { 'x-shopid': /./ },
+    globals: ['Shopify.shop']
+  },
+  {
+    name: 'WooCommerce',
+    category: 'ecommerce',
+    generator: /WooCommerce\s*([\d.]+)?/i,
+    assets: /\/plugins\/woocommerce\//,
+    globals: ['woocommerce_params']
+  },
+  {
+    name: 'BigCommerce',
+    category: 'ecommerce',
+    assets: /cdn\d*\.bigcommerce\.com/,
+    globals: ['BCData']
+  },
+  {
+    name: 'Square Online',
+    category: 'ecommerce',
+    assets: /\.square\.site|squarecdn\.com|weebly\.com\/.*commerce/
+  },
+  {
+    name: 'Ecwid',
+    category: 'ecommerce',
+    assets: /app\.ecwid\.com/,
+    globals: ['Ecwid']
+  },
+
+  // Page builders
+  {
+    name: 'Elementor',
+    category: 'pageBuilder',
+    generator: /Elementor\s*([\d.]+)?/i,
+    assets: /\/plugins\/elementor\/.*?ver=([\d.]+)|\/plugins\/elementor\//,
+    html: /class="[^"]*elementor-/
+  },
+  {
+    name: 'Divi',
+    category: 'pageBuilder',
+    assets: /\/themes\/Divi\/|\/plugins\/divi-builder\//,
+    html: /class="[^"]*et_pb_/
+  },
+  {
+    name: 'WPBakery',
+    category: 'pageBuilder',
+    generator: /WPBakery|Visual Composer/i,
+    assets: /\/plugins\/js_composer\/.*?ver=([\d.]+)|\/plugins\/js_composer\//,
+    html: /class="[^"]*vc_row/
+  },
+  {
+    name: 'Beaver Builder',
+    category: 'pageBuilder',
+    assets: /\/plugins\/bb-plugin\//,
+    html: /class="[^"]*fl-builder/
+  },
+
+  // Front-end libraries
+  {
+    name: 'jQuery',
+    category: 'library',
+    assets: /jquery-(\d+\.\d+(?:\.\d+)?)(?:\.min)?\.js|\/jquery\/(\d+\.\d+(?:\.\d+)?)\/|jquery(?:\.min)?\.js(?:\?ver=(\d+\.\d+(?:\.\d+)?))?/i,
+    globals: ['jQuery.fn.jquery']
+  },
+  {
+    name: 'jQuery UI',
+    category: 'library',
+    assets: /jquery-ui[-.]?(\d+\.\d+(?:\.\d+)?)?(?:\.min)?\.js|\/jqueryui\/(\d+\.\d+(?:\.\d+)?)\//i,
+    globals: ['jQuery.ui.version']
+  },
+  {
+    name: 'Bootstrap',
+    category: 'library',
+    assets: /bootstrap(?:cdn\.com\/bootstrap)?[@/-](\d+\.\d+\.\d+)\/|bootstrap(?:\.bundle)?(?:\.min)?\.(?:js|css)/i,
+    globals: ['bootstrap.Tooltip.VERSION', 'jQuery.fn.tooltip.Constructor.VERSION']
+  },
+  {
+    name: 'React',
+    category: 'library',
+    html: /data-reactroot/,
+    globals: ['React.version']
+  },
+  {
+    name: 'Vue.js',
+    category: 'library',
+    html: /data-v-[0-9a-f]{8}/,
+    globals: ['Vue.version']
+  },
+  {
+    name: 'AngularJS',
+    category: 'library',
+    html: /ng-app/,
+    globals: ['angular.version.full']
+  },
+  {
+    // Underscore also defines _.VERSION, so only WordPress's lodash global is trusted
+    name: 'Lodash',
+    category: 'library',
+    assets: /lodash(?:\.min)?\.js(?:\?ver=(\d+\.\d+\.\d+))?|\/lodash(?:\.js)?[@/](\d+\.\d+\.\d+)\//i,
+    globals: ['lodash.VERSION']
+  },
+  {
+    name: 'Moment',
+    category: 'library',
+    assets: /moment(?:-with-locales)?(?:\.min)?\.js(?:\?ver=(\d+\.\d+\.\d+))?|\/moment(?:\.js)?[@/](\d+\.\d+\.\d+)\//i,
+    globals: ['moment.version']
+  },
+  {
+    name: 'Modernizr',
+    category: 'library',
+    assets: /modernizr[-.]?(\d+\.\d+(?:\.\d+)?)?(?:\.custom)?(?:\.min)?\.js/i,
+    globals: ['Modernizr._version']
+  },
+  {
+    name: 'Font Awesome',
+    category: 'library',
+    assets: /font-?awesome[-@/]?(\d+\.\d+\.\d+)?/i
+  }
+];
+
+// Helper function to pull the version from a regex match (first non-empty capture group)
+const matchVersion = (pattern, text) => {
+  const match = text ? text.match(pattern) : null;
+  if (!match) return null;
+  return { version: match.slice(1).find(Boolean) || null };
+};
+
+// Runs in the browser - reads each global path (e.g. "jQuery.fn.jquery") that exists
+function readGlobals(paths) {
+  const values = {};
+  paths.forEach(globalPath => {
+    try {
+      const value = globalPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), window);
+      if (value !== undefined && value !== null) {
+        values[globalPath] = typeof value === 'string' || typeof value === 'number' ? String(value) : true;
+      }
+    } catch (error) {
+      // Getters on some globals throw - treat as missing
+    }
+  });
+  return values;
+}
+
+/**
+ * Detect the CMS, e-commerce platform, page builders and front-end libraries a page uses
+ * @param {Object} page - Puppeteer page with the website loaded
+ * @param {Object} headers - Response headers of the main document
+ * @param {Object} $ - Cheerio root of the page
+ * @returns {Promise<Array<Object>>} - Detected technologies as { name, category, version }
+ */
+async function detectTechnologies(page, headers, $) {
+  const generators = $('meta[name="generator" i]').map((i, el) => $(el).attr('content')).get();
+  const assetUrls = [
+    ...$('script[src]').map((i, el) => $(el).attr('src')).get(),
+    ...$('link[rel="stylesheet"][href]').map((i, el) => $(el).attr('href')).get()
+  ];
+  const html = $.html();
+
+  const globalPaths = [...new Set(TECHNOLOGIES.flatMap(tech => tech.globals || []))];
+  const globals = await page.evaluate(readGlobals, globalPaths).catch(() => ({}));
+
+  const detected = [];
+  TECHNOLOGIES.forEach(tech => {
+    const matches = [
+      ...(tech.globals || []).filter(globalPath => globals[globalPath])
+        .map(globalPath => ({ version: /^\d+(\.\d+)+/.test(globals[globalPath]) ? globals[globalPath] : null })),
+      ...(tech.generator ? generators.map(generator => matchVersion(tech.generator, generator)) : []),
+      ...(tech.assets ? assetUrls.map(url => matchVersion(tech.assets, url)) : []),
+      ...Object.entries(tech.headers || {}).map(([header, pattern]) => matchVersion(pattern, headers[header])),
+      tech.html ? matchVersion(tech.html, html) : null
+    ].filter(Boolean);
+
+    if (matches.length > 0) {
+      const withVersion = matches.find(match => match.version);
+      detected.push({ name: tech.name, category: tech.category, version: withVersion ? withVersion.version : null });
+    }
+  });
+
+  return detected;
+}
+
+/**
+ * Flatten detected technologies into one readable string per category, for CSVs and reports
+ * @param {Array<Object>} technologies - Technologies from detectTechnologies
+ * @returns {Object} - e.g. { cms: 'WordPress 5.2', ecommerce: '', pageBuilder: 'Elementor', library: 'jQuery 1.12.4' }
+ */
+function summarizeTechnologies(technologies = []) {
+  return Object.fromEntries(Object.keys(TECHNOLOGY_CATEGORIES).map(category => [
+    category,
+    technologies
+      .filter(tech => tech.category === category)
+      .map(tech => (tech.version ? `${tech.name} ${tech.version}` : tech.name))
+      .join(', ')
+  ]));
+}
+
+module.exports = { detectTechnologies, summarizeTechnologies, TECHNOLOGIES, TECHNOLOGY_CATEGORIES };
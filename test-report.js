@@ -10,7 +10,54 @@ async function testReportGeneration() {
       name: "Test Business 1",
       websiteUrl: "https://test1.com",
       websiteScore: 65,
-      issues: ["Mobile not responsive", "Slow loading speed", "Missing meta tags"],
+      categoryScores: { security: 80, mobile: 50, performance: 0, seo: 84, content: 75, contact: 100, accessibility: 70, design: 40, conversion: 45 },
+      issues: ["[Mobile] Mobile not responsive", "[Performance] Slow loading speed", "[SEO] Missing meta tags", "[Accessibility] 3 form fields have no label"],
+      accessibility: {
+        criteria: [
+          { criterion: '1.4.3', name: 'Contrast (Minimum)', level: 'AA', count: 4, examples: ['footer > p.copyright (2.85:1)'] },
+          { criterion: '3.3.2', name: 'Labels or Instructions', level: 'A', count: 3, examples: ['form#contact > input:nth-of-type(1)'] }
+        ],
+        totalIssues: 7
+      },
+      technologies: [
+        { name: 'Joomla', category: 'cms', version: '2.5' },
+        { name: 'jQuery', category: 'library', version: '1.8.3' }
+      ],
+      contentQuality: {
+        pages: [{ url: 'https://test1.com/', wordCount: 180, thin: true }],
+        placeholders: [{ url: 'https://test1.com/', text: 'Lorem ipsum' }],
+        duplicates: [],
+        readingGrade: 9.4,
+        city: { name: 'New York', mentioned: false },
+        category: { name: 'Restaurant', mentioned: true }
+      },
+      links: {
+        checkedLinks: 24,
+        skippedLinks: 0,
+        broken: [{ url: 'https://test1.com/menu.pdf', internal: true, status: 404, sources: [{ page: 'https://test1.com/', text: 'Our Menu' }] }],
+        redirectLoops: [],
+        deadSocialProfiles: [{ url: 'https://www.facebook.com/test1nyc', network: 'facebook', reason: 'profile not found', sources: [{ page: 'https://test1.com/', text: '' }] }]
+      },
+      conversion: {
+        ctaAboveFold: { desktop: 'Contact Us', mobile: null },
+        oneTapAction: null,
+        phones: { shown: 1, untappable: ['(555) 012-3456'] },
+        booking: [],
+        chat: [],
+        quoteForm: null
+      },
+      designAge: {
+        score: 40,
+        signals: [
+          { id: 'table-layout', label: 'Table-based layout', evidence: '3 layout tables, 1 nested' },
+          { id: 'fixed-width-layout', label: 'Fixed-width page container', evidence: '<div#wrapper> is 960px wide on a 1366px screen' },
+          { id: 'no-flex-grid', label: 'No flexbox or grid layout', evidence: 'None of 412 elements use flexbox or grid' }
+        ]
+      },
+      vulnerableLibraries: [
+        { library: 'jQuery', version: '1.8.3', advisoryId: 'CVE-2020-11022', severity: 'medium', summary: 'HTML passed to DOM manipulation methods can run scripts (XSS)' },
+        { library: 'jQuery', version: '1.8.3', advisoryId: 'CVE-2012-6708', severity: 'medium', summary: 'Selectors can be interpreted as HTML (XSS)' }
+      ],
       address: "123 Test St",
       phoneNumber: "555-0123",
       rating: "4.5",
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { extractContactDetails } = require('../contact-details');
+
+test('a malformed mailto: escape keeps the raw address instead of throwing', () => {
+  const $ = cheerio.load('<a href="mailto:a%E0%A4%A@b.com">Email us</a><a href="mailto:info%40acmeplumbing.com">Info</a>');
+  const details = extractContactDetails($, 'https://example.com/', '');
+  assert.ok(details.emails.includes('a%e0%a4%a@b.com'));
+  assert.ok(details.emails.includes('info@acmeplumbing.com'));
+});
+
+test('a malformed tel: escape keeps the raw number instead of throwing', () => {
+  const $ = cheerio.load('<a href="tel:555%2-123-4567">Call</a>');
+  assert.doesNotThrow(() => extractContactDetails($, 'https://example.com/', ''));
+});
@@ -0,0 +1,164 @@
+// Core Web Vitals, read from the evaluation's own homepage load or measured in a separate
+// throttled mobile load the way Lighthouse's mobile test does it: a mid-range phone on a
+// slow 4G connection
+
+// Mid-range Android phone, matching Lighthouse's default mobile emulation
+const MOBILE_PROFILE = {
+  viewport: { width: 412, height: 823, deviceScaleFactor: 1.75, isMobile: true, hasTouch: true },
+  userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/109.0.0.0 Mobile Safari/537.36'
+};
+
+// Slow 4G (Lighthouse's DevTools throttling values); throughput in bytes per second
+const SLOW_4G = {
+  download: (1474.56 * 1024) / 8,
+  upload: (675 * 1024) / 8,
+  latency: 562.5
+};
+const CPU_SLOWDOWN = 4;
+
+// How long to keep observing after load so late LCP candidates and layout shifts are caught
+const SETTLE_TIME = 5000;
+
+// Google's thresholds: at or below `good` is good, above `poor` is poor, in between needs improvement
+const WEB_VITALS = {
+  lcp: { label: 'Largest Contentful Paint', unit: 'ms', good: 2500, poor: 4000 },
+  cls: { label: 'Cumulative Layout Shift', unit: '', good: 0.1, poor: 0.25 },
+  inp: { label: 'Interaction to Next Paint', unit: 'ms', good: 200, poor: 500 },
+  tbt: { label: 'Total Blocking Time', unit: 'ms', good: 200, poor: 600 },
+  fcp: { label: 'First Contentful Paint', unit: 'ms', good: 1800, poor: 3000 },
+  ttfb: { label: 'Time to First Byte', unit: 'ms', good: 800, poor: 1800 }
+};
+
+/**
+ * Rate a metric value against Google's thresholds
+ * @param {string} metric - Metric key, e.g. 'lcp'
+ * @param {number} value - Measured value
+ * @returns {string} - 'good', 'needs-improvement' or 'poor'
+ */
+function rateMetric(metric, value) {
+  const { good, poor } = WEB_VITALS[metric];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+// Runs in the browser before any page script - records the raw entries as they arrive
+function installObservers() {
+  const vitals = { lcp: null, fcp: null, cls: 0, longTasks: [], inp: null };
+  window.__webVitals = vitals;
+
+  const observe = (type, callback, extra = {}) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...extra });
+    } catch (error) {
+      // Entry type not supported by this Chromium
+    }
+  };
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+  });
+  observe('largest-contentful-paint', entry => {
+    vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+
+  // CLS is the largest burst of shifts (gaps under 1s, at most 5s long) not caused by input
+  let sessionValue = 0;
+  let sessionStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    if (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+      sessionValue = 0;
+      sessionStart = entry.startTime;
+    }
+    sessionValue += entry.value;
+    lastShift = entry.startTime;
+    vitals.cls = Math.max(vitals.cls, sessionValue);
+  });
+
+  observe('longtask', entry => {
+    vitals.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+  });
+
+  // Only real interactions produce INP - a lab load without clicks leaves it empty
+  observe('event', entry => {
+    if (entry.interactionId) vitals.inp = Math.max(vitals.inp || 0, entry.duration);
+  }, { durationThreshold: 16 });
+}
+
+/**
+ * Start recording Core Web Vitals entries in every page the page loads from now on
+ * @param {Object} page - Puppeteer page, before its navigation
+ */
+async function observeWebVitals(page) {
+  await page.evaluateOnNewDocument(installObservers);
+}
+
+/**
+ * Rate the Core Web Vitals recorded in the page's current document
+ * @param {Object} page - Puppeteer page whose load was observed with observeWebVitals
+ * @param {string} device - How the load was made, shown in the report
+ * @param {boolean} [throttled] - Whether the load ran under measureWebVitals' mobile throttling
+ * @returns {Promise<Object|null>} - { device, throttled, metrics: { lcp: { value, rating }, ... } }, or null when nothing was recorded
+ */
+async function collectWebVitals(page, device, throttled = false) {
+  const raw = await page.evaluate(() => {
+    if (!window.__webVitals) return null;
+    const [navigation] = performance.getEntriesByType('navigation');
+    return { ...window.__webVitals, ttfb: navigation ? navigation.responseStart : null };
+  });
+  if (!raw) return null;
+
+  // TBT is the lab stand-in for INP: the blocking part (over 50ms) of every long task after FCP
+  const tbt = raw.fcp === null ? null : raw.longTasks
+    .filter(task => task.startTime >= raw.fcp)
+    .reduce((sum, task) => sum + Math.max(0, task.duration - 50), 0);
+
+  const values = { lcp: raw.lcp, cls: raw.cls, inp: raw.inp, tbt, fcp: raw.fcp, ttfb: raw.ttfb };
+  const metrics = {};
+  Object.entries(values).forEach(([metric, value]) => {
+    if (typeof value !== 'number') return;
+    const rounded = metric === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value);
+    metrics[metric] = { value: rounded, rating: rateMetric(metric, rounded) };
+  });
+
+  return { device, throttled, metrics };
+}
+
+/**
+ * Load a page under throttled mobile emulation and measure its Core Web Vitals.
+ * The page keeps the emulation afterwards, so run this after every other check
+ * @param {Object} page - Puppeteer page to load the URL in
+ * @param {string} url - Page to measure
+ * @returns {Promise<Object|null>} - { device, throttled, metrics: { lcp: { value, rating }, ... } }, or null on failure
+ */
+async function measureWebVitals(page, url) {
+  try {
+    await page.setCacheEnabled(false);
+    await page.emulate(MOBILE_PROFILE);
+    await page.emulateNetworkConditions(SLOW_4G);
+    await page.emulateCPUThrottling(CPU_SLOWDOWN);
+    await observeWebVitals(page);
+
+    await page.goto(url, { waitUntil: 'load', timeout: 90000 });
+    await new Promise(resolve => setTimeout(resolve, SETTLE_TIME));
+
+    return await collectWebVitals(page, 'mobile (slow 4G, 4x CPU slowdown)', true);
+  } catch (error) {
+    console.error(`Core Web Vitals measurement failed for ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Format a metric value for issues and reports, e.g. "4.2s" or "0.31"
+ * @param {string} metric - Metric key
+ * @param {number} value - Metric value
+ * @returns {string} - Human-readable value
+ */
+function formatMetricValue(metric, value) {
+  if (WEB_VITALS[metric].unit !== 'ms') return String(value);
+  return value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${value}ms`;
+}
+
+module.exports = { measureWebVitals, observeWebVitals, collectWebVitals, rateMetric, formatMetricValue, WEB_VITALS };
@@ -1,13 +1,14 @@
 const puppeteer = require('puppeteer');
 const cheerio = require('cheerio');
-const lighthouse = require('lighthouse');
-const chromeLauncher = require('chrome-launcher');
 const fs = require('fs').promises;
 const path = require('path');
-const { evaluateWebsite } = require('./website-evaluator');
+const { evaluateWebsite, getEmptyCategoryScores, SCORE_CATEGORIES } = require('./website-evaluator');
+const { runLighthouseAnalysis } = require('./lighthouse-runner');
 const ReportGenerator = require('./report-generator');
 const MarketAnalysis = require('./market-analysis');
 const BusinessContactTracker = require('./business-contact-tracker');
+const BrowserPool = require('./browser-pool');
+const { scrapeMapsListings } = require('./maps-scraper');
 
 // Helper functions from old code
 const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -20,10 +21,18 @@ const QUALITY_THRESHOLD = 70;
 const BATCH_SIZE = 20;  // Changed back to 20 for production use
 
 class WebsiteAnalyzer {
-  constructor(searchQuery) {
+  constructor(searchQuery, options = {}) {
     this.searchQuery = searchQuery;
+    this.options = {
+      lighthouse: false,  // Run a Lighthouse audit for every website (slow)
+      rulesPath: null,    // Custom scoring rules merged over config/scoring-rules.json
+      crawl: false,       // Also evaluate contact/about/services pages, e.g. { maxPages: 5 }
+      devices: true,      // Reload each homepage on phone, tablet and desktop profiles for the report's screenshots
+      ...options
+    };
     this.browser = null;
     this.page = null;
+    this.browserPool = null;
     this.outputDir = path.join(process.cwd(), 'analysis_reports');
     this.currentBatch = [];
     this.allBusinesses = [];
@@ -45,6 +54,10 @@ class WebsiteAnalyzer {
     this.page = await this.browser.newPage();
     await this.page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/100.0.4896.127 Safari/537.36');
     
+    // Websites are evaluated in their own browser (launched on first use), which keeps
+    // certificate errors visible to the SSL checks. They're evaluated one at a time, so one tab is enough
+    this.browserPool = new BrowserPool({ maxPages: 1 });
+    
     // Create output directory if it doesn't exist
     await fs.mkdir(this.outputDir, { recursive: true });
 
@@ -67,6 +80,10 @@ class WebsiteAnalyzer {
       this.browser = null;
       this.page = null;
     }
+    if (this.browserPool) {
+      await this.browserPool.close();
+      this.browserPool = null;
+    }
   }
 
   async findPageSelectors(url) {
@@ -82,52 +99,11 @@ class WebsiteAnalyzer {
   }
 
   async runLighthouseAnalysis(url) {
-    // Remove this method
+    return runLighthouseAnalysis(url);
   }
 
   getEmptyCategoryScores() {
-    // Remove this method
-  }
-
-  async captureScreenshot(url) {
-    try {
-      const page = await this.browser.newPage();
-      await page.setViewport({ width: 1366, height: 768 });
-      
-      // Set a reasonable timeout for page load
-      const response = await page.goto(url, { 
-        waitUntil: 'networkidle2', 
-        timeout: 30000 
-      }).catch(err => {
-        console.error(`Failed to load ${url}: ${err.message}`);
-        return null;
-      });
-
-      // If page failed to load, return null
-      if (!response) {
-        await page.close();
-        return null;
-      }
-
-      // Wait for any lazy-loaded images
-      await this.waitFor(2000);
-      
-      // Capture the hero section (top part of the page)
-      const screenshot = await page.screenshot({
-        type: 'jpeg',
-        quality: 80,
-        clip: { x: 0, y: 0, width: 1366, height: 768 }
-      }).catch(err => {
-        console.error(`Error taking screenshot for ${url}: ${err.message}`);
-        return null;
-      });
-      
-      await page.close();
-      return screenshot;
-    } catch (error) {
-      console.error(`Error capturing screenshot for ${url}: ${error.message}`);
-      return null;
-    }
+    return getEmptyCategoryScores();
   }
 
   async searchAndAnalyze(searchQuery, location) {
@@ -138,17 +114,6 @@ class WebsiteAnalyzer {
     console.log(`Analyzing businesses for: ${searchQuery} in ${location}`);
     
     try {
-      // Navigate to Google Maps
-      await this.page.goto('https://www.google.com/maps', { waitUntil: 'networkidle2', timeout: 60000 });
-      await this.page.waitForSelector('#searchboxinput', { visible: true, timeout: 60000 });
-      await this.page.click('#searchboxinput');
-      
-      // Enter search query
-      const fullQuery = `${searchQuery} in ${location}`;
-      await this.page.type('#searchboxinput', fullQuery);
-      await this.page.keyboard.press('Enter');
-      await this.waitFor(5000);
-
       // Process results
       const results = await this.scrapeResults(searchQuery, location);
       return results;
@@ -159,105 +124,62 @@ class WebsiteAnalyzer {
   }
 
   async scrapeResults(category, location) {
-    let noNewResultsScrolls = 0;
-    const maxNoNewResultsScrolls = 5;
-    let pageBusinessNames = new Set();
+    // processedBusinesses is shared so a business found by an earlier search isn't evaluated twice
+    for await (const details of scrapeMapsListings(this.page, { category, location, seen: processedBusinesses })) {
+      if (!details.websiteUrl) continue;
 
-    while (noNewResultsScrolls < maxNoNewResultsScrolls) {
       try {
-        const businessElements = await this.page.$$('.Nv2PK');
-        let foundNewBusiness = false;
-
-        for (const element of businessElements) {
-          try {
-            const nameElement = await element.$('.qBF1Pd');
-            if (!nameElement) continue;
-
-            const name = await this.page.evaluate(el => el.textContent.trim().toLowerCase(), nameElement)
-              .catch(() => null);
-            if (!name || processedBusinesses.has(name)) continue;
-
-            processedBusinesses.add(name);
-            pageBusinessNames.add(name);
-            foundNewBusiness = true;
-
-            // Click on the listing to show details
-            await nameElement.click().catch(err => {
-              console.error(`Failed to click on ${name}: ${err.message}`);
-              return;
-            });
-            await this.waitFor(3000);
-
-            // Get business details
-            const details = await this.extractBusinessDetails(category, location).catch(err => {
-              console.error(`Failed to extract details for ${name}: ${err.message}`);
-              return null;
-            });
-            
-            if (details && details.websiteUrl) {
-              try {
-                // Evaluate website
-                const evaluation = await evaluateWebsite(details.websiteUrl);
-                console.log(`Evaluated: ${details.name} | Score: ${evaluation.score}/100`);
-                
-                const business = {
-                  ...details,
-                  websiteScore: evaluation.score,
-                  issues: evaluation.issues || [],
-                  screenshot: await this.captureScreenshot(details.websiteUrl)
-                };
-
-                this.allBusinesses.push(business);
-
-                // Add to CSV immediately after analysis
-                await this.contactTracker.addBusinesses([business]);
-
-                // Store low scoring businesses for later report generation
-                if (business.websiteScore <= QUALITY_THRESHOLD) {
-                  this.lowScoringBusinesses.push(business);
-                }
-
-                // Generate reports for low scoring businesses if we have enough data
-                if (this.allBusinesses.length >= BATCH_SIZE) {
-                  await this.generateReportsForLowScoring();
-                }
-              } catch (err) {
-                console.error(`Failed to process website for ${details.name}: ${err.message}`);
-              }
-            }
-
-            await this.page.keyboard.press('Escape').catch(() => {});
-            await this.waitFor(1000);
-          } catch (businessError) {
-            console.error('Error processing business:', businessError.message);
-            continue;
-          }
+        // Evaluate website
+        const evaluation = await evaluateWebsite(details.websiteUrl, {
+          lighthouse: this.options.lighthouse,
+          rulesPath: this.options.rulesPath,
+          vertical: category,
+          crawl: this.options.crawl,
+          devices: this.options.devices,
+          browserPool: this.browserPool,
+          screenshot: true,
+          business: details
+        });
+        console.log(`Evaluated: ${details.name} | Score: ${evaluation.score}/100`);
+        
+        const business = {
+          ...details,
+          websiteScore: evaluation.score,
+          categoryScores: evaluation.categoryScores || this.getEmptyCategoryScores(),
+          issues: evaluation.issues || [],
+          lighthouse: evaluation.lighthouse || null,
+          accessibility: evaluation.accessibility || null,
+          technologies: evaluation.technologies || [],
+          vulnerableLibraries: evaluation.vulnerableLibraries || [],
+          contactDetails: evaluation.contactDetails || null,
+          localBusiness: evaluation.localBusiness || null,
+          webVitals: evaluation.webVitals || null,
+          designAge: evaluation.designAge || null,
+          conversion: evaluation.conversion || null,
+          contentQuality: evaluation.contentQuality || null,
+          links: evaluation.links || null,
+          devices: evaluation.devices || null,
+          network: evaluation.network || null,
+          securityAudit: evaluation.securityAudit || null,
+          screenshot: evaluation.screenshot || null
+        };
+
+        this.allBusinesses.push(business);
+
+        // Add to CSV immediately after analysis
+        await this.contactTracker.addBusinesses([business]);
+
+        // Store low scoring businesses for later report generation
+        if (business.websiteScore <= QUALITY_THRESHOLD) {
+          this.lowScoringBusinesses.push(business);
         }
 
-        // Scroll logic
-        try {
-          const scrollContainer = await this.page.$('div[role="feed"]');
-          if (scrollContainer) {
-            await this.page.evaluate(container => {
-              container.scrollTop = container.scrollHeight;
-            }, scrollContainer).catch(() => {});
-            await this.waitFor(3000);
-
-            if (!foundNewBusiness) {
-              noNewResultsScrolls++;
-            } else {
-              noNewResultsScrolls = 0;
-            }
-          } else {
-            break;
-          }
-        } catch (scrollError) {
-          console.error('Error during scroll:', scrollError.message);
-          noNewResultsScrolls++;
+        // Generate reports for low scoring businesses if we have enough data
+        if (this.allBusinesses.length >= BATCH_SIZE) {
+          await this.generateReportsForLowScoring();
         }
-      } catch (error) {
-        console.error('Error in main scraping loop:', error.message);
-        noNewResultsScrolls++;
+      } catch (err) {
+        console.error(`Failed to process website for ${details.name}: ${err.message}`);
       }
     }
 
@@ -271,50 +193,6 @@ class WebsiteAnalyzer {
     return this.allBusinesses;
   }
 
-  async extractBusinessDetails(category, location) {
-    const details = {
-      name: '',
-      address: '',
-      phoneNumber: '',
-      rating: '',
-      websiteUrl: null,
-      category: category || 'Business',  // Default category if none provided
-      location: location || 'Unknown Location'  // Default location if none provided
-    };
-
-    // Get name
-    const nameElement = await this.page.$('h1.DUwDvf');
-    if (nameElement) {
-      details.name = await this.page.evaluate(el => el.textContent.trim(), nameElement);
-    }
-
-    // Get address
-    const addressElement = await this.page.$('button[data-item-id="address"]');
-    if (addressElement) {
-      details.address = await this.page.evaluate(el => el.textContent.trim(), addressElement);
-    }
-
-    // Get phone
-    const phoneElement = await this.page.$('button[data-item-id^="phone:"]');
-    if (phoneElement) {
-      details.phoneNumber = await this.page.evaluate(el => el.textContent.replace(/\\s+/g, ''), phoneElement);
-    }
-
-    // Get rating
-    const ratingElement = await this.page.$('.F7nice');
-    if (ratingElement) {
-      details.rating = await this.page.evaluate(el => el.textContent.trim(), ratingElement);
-    }
-
-    // Get website URL
-    const websiteElement = await this.page.$('a[data-item-id="authority"]');
-    if (websiteElement) {
-      details.websiteUrl = await this.page.evaluate(el => el.href, websiteElement);
-    }
-
-    return details;
-  }
-
   async generateBatchReport() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const reportPath = path.join(this.outputDir, `batch_report_${timestamp}.html`);
@@ -349,6 +227,12 @@ class WebsiteAnalyzer {
             ).map(issue => `<li>${issue.trim()}</li>`).join('')
           : '<li>No issues found</li>';
 
+        const categoryList = business.categoryScores
+          ? Object.entries(SCORE_CATEGORIES)
+              .map(([key, { label }]) => `<li><strong>${label}:</strong> ${business.categoryScores[key]}/100</li>`)
+              .join('')
+          : '';
+
         return `
           <div class="business-report">
             <h2>${business.name}</h2>
@@ -363,6 +247,7 @@ class WebsiteAnalyzer {
               <div class="score-circle ${business.websiteScore >= 70 ? 'high' : business.websiteScore >= 50 ? 'medium' : 'low'}">
                 ${business.websiteScore}
               </div>
+              ${categoryList ? `<ul class="category-scores">${categoryList}</ul>` : ''}
             </div>
             <div class="details-section">
               <p><strong>Website:</strong> <a href="${business.websiteUrl}" target="_blank">${business.websiteUrl}</a></p>
@@ -412,6 +297,7 @@ class WebsiteAnalyzer {
           .score-circle.high { background-color: #4CAF50; }
           .score-circle.medium { background-color: #FFC107; }
           .score-circle.low { background-color: #F44336; }
+          .category-scores { list-style: none; padding: 0; display: flex; flex-wrap: wrap; gap: 15px; }
           .issues-section ul { padding-left: 20px; }
           .issues-section li { margin: 5px 0; }
           .screenshot { margin: 20px 0; }
@@ -447,7 +333,21 @@ class WebsiteAnalyzer {
       business,
       {
         score: business.websiteScore,
-        issues: Array.isArray(business.issues) ? business.issues : [business.issues]
+        categoryScores: business.categoryScores,
+        issues: Array.isArray(business.issues) ? business.issues : [business.issues],
+        lighthouse: business.lighthouse,
+        accessibility: business.accessibility,
+        technologies: business.technologies,
+        localBusiness: business.localBusiness,
+        webVitals: business.webVitals,
+        network: business.network,
+        securityAudit: business.securityAudit,
+        vulnerableLibraries: business.vulnerableLibraries,
+        designAge: business.designAge,
+        conversion: business.conversion,
+        contentQuality: business.contentQuality,
+        links: business.links,
+        devices: business.devices
       },
       [...this.allBusinesses]
         .filter(b => b.name !== business.name)
@@ -485,7 +385,10 @@ class WebsiteAnalyzer {
 
 // Example usage
 async function main() {
-  const analyzer = new WebsiteAnalyzer(process.argv[2] || 'restaurants');
+  const analyzer = new WebsiteAnalyzer(process.argv[2] || 'restaurants', {
+    lighthouse: process.argv.includes('--lighthouse'),
+    crawl: process.argv.includes('--crawl')
+  });
   
   try {
     await analyzer.initialize();
@@ -1,456 +1,711 @@
-const puppeteer = require('puppeteer');
 const cheerio = require('cheerio');
+const { runLighthouseAnalysis } = require('./lighthouse-runner');
+const { loadRuleSet, applyRules, calculateScores } = require('./rule-engine');
+const { RULE_CHECKS } = require('./website-rules');
+const { crawlSite, findPageLinks } = require('./site-crawler');
+const { auditRobotsAndSitemaps, fetchCrawlerFiles } = require('./robots-audit');
+const { auditAccessibility } = require('./accessibility-audit');
+const BrowserPool = require('./browser-pool');
+const { loadSnapshot, serveSnapshot, SnapshotRecorder } = require('./snapshot');
+const { detectTechnologies } = require('./tech-fingerprint');
+const { findVulnerableLibraries } = require('./library-advisories');
+const { analyzeDesignAge } = require('./design-age');
+const { findAboveFoldCtas, auditConversion } = require('./conversion-audit');
+const { analyzeContentQuality } = require('./content-quality');
+const { extractContactDetails, mergeContactDetails } = require('./contact-details');
+const { analyzeStructuredData, checkNapConsistency } = require('./local-business');
+const { measureWebVitals, observeWebVitals, collectWebVitals, formatMetricValue } = require('./web-vitals');
+const { NetworkRecorder, analyzeNetwork, formatBytes } = require('./network-analysis');
+const { auditSecurity } = require('./security-audit');
+const { checkLinks } = require('./link-checker');
+const { emulateDevices, checkPhoneOverflow } = require('./device-emulation');
+
+// Lighthouse category scores below this are reported as issues
+const LIGHTHOUSE_POOR_SCORE = 50;
+
+// Score categories (label, impact on the overall score) from the default rule set
+const SCORE_CATEGORIES = loadRuleSet().categories;
+
+/**
+ * Category scores for a website that could not be evaluated at all
+ * @returns {Object} - A score of 0 for every category
+ */
+function getEmptyCategoryScores() {
+  return Object.fromEntries(Object.keys(SCORE_CATEGORIES).map(category => [category, 0]));
+}
 
 /**
  * Evaluate a website and return a score and issues
  * @param {string} url - The website URL to evaluate
- * @returns {Promise<Object>} - Website score and issues
+ * @param {Object} [options] - Evaluation options
+ * @param {boolean} [options.lighthouse] - Also run a Lighthouse audit and merge its category scores
+ * @param {string} [options.lighthouseFormFactor] - 'mobile' (default) or 'desktop' Lighthouse emulation
+ * @param {string} [options.rulesPath] - Custom scoring rule config merged over config/scoring-rules.json
+ * @param {string} [options.vertical] - Business vertical (e.g. 'lawyers') whose rule overrides apply
+ * @param {Object} [options.ruleSet] - Pre-loaded rule set, takes precedence over rulesPath/vertical
+ * @param {boolean|Object} [options.crawl] - Also evaluate same-origin key pages; `{ maxPages }` sets the page limit
+ * @param {boolean} [options.robotsAudit] - Set to false to skip the robots.txt and sitemap audit
+ * @param {boolean|Object} [options.linkCheck] - Set to false to skip the broken link check; `{ outbound, maxLinks }`
+ *   also checks links to other sites and sets the per-site cap
+ * @param {BrowserPool} [options.browserPool] - Shared browser to evaluate in; without one a browser is launched and closed
+ * @param {boolean} [options.screenshot] - Also capture a JPEG of the top of the homepage from the same page load
+ * @param {string} [options.snapshot] - Evaluate offline from a snapshot directory or HAR file; the URL defaults to the snapshot's
+ * @param {string} [options.captureSnapshot] - Directory to save a snapshot of this live evaluation to
+ * @param {boolean|Object} [options.webVitals] - Set to false to skip Core Web Vitals; `{ throttled: false }` reads them from
+ *   the unthrottled homepage load instead of the extra throttled mobile load
+ * @param {boolean} [options.securityAudit] - Set to false to skip the HTTPS redirect, security header, TLS and cookie checks
+ * @param {boolean} [options.devices] - Also reload the homepage on each phone, tablet and desktop profile for screenshots;
+ *   without it only the small phone viewport is checked for overflow
+ * @param {boolean} [options.network] - Set to false to skip recording the homepage's requests for the page weight analysis
+ * @param {Object} [options.business] - Google Maps listing `{ name, address, phoneNumber, category, location }` to check
+ *   the site's NAP against, and whose city and category the copy should mention
+ * @returns {Promise<Object>} - Website score, category scores and issues
  */
-async function evaluateWebsite(url) {
-  if (!url) return { score: 0, issues: ['No website URL provided'] };
+async function evaluateWebsite(url, options = {}) {
+  const snapshot = options.snapshot ? await loadSnapshot(options.snapshot) : null;
+  if (snapshot && !url) {
+    url = snapshot.url;
+  }
+  
+  if (!url) {
+    return {
+      score: 0,
+      categoryScores: getEmptyCategoryScores(),
+      issues: ['No website URL provided'],
+      findings: [{ ruleId: null, category: null, message: 'No website URL provided', penalty: 0 }],
+      pages: [],
+      robots: null,
+      links: null,
+      accessibility: null,
+      technologies: [],
+      vulnerableLibraries: [],
+      contactDetails: mergeContactDetails([]),
+      localBusiness: null,
+      webVitals: null,
+      designAge: null,
+      conversion: null,
+      contentQuality: null,
+      network: null,
+      securityAudit: null,
+      devices: null,
+      screenshot: null
+    };
+  }
   
   // Make sure URL has correct format
   if (!url.startsWith('http://') && !url.startsWith('https://')) {
     url = 'https://' + url;
   }
   
-  console.log(`Evaluating website: ${url}`);
-  const browser = await puppeteer.launch({ 
-    headless: 'new',
-    defaultViewport: { width: 1366, height: 768 },
-    timeout: 60000
-  });
+  const ruleSet = options.ruleSet || loadRuleSet({ rulesPath: options.rulesPath, vertical: options.vertical });
+  
+  console.log(`Evaluating website: ${url}${snapshot ? ` (offline from ${options.snapshot})` : ''}`);
+  const browserPool = options.browserPool || new BrowserPool({ maxPages: 1 });
+  let page = null;
   
   let score = 100; // Start with perfect score
-  const issues = [];
+  const findings = [];
+  let pages = [];
+  let robots = null;
+  let links = null;
+  let accessibility = null;
+  let technologies = [];
+  let vulnerableLibraries = [];
+  let contactDetails = mergeContactDetails([]);
+  let localBusiness = null;
+  let webVitals = null;
+  let designAge = null;
+  let conversion = null;
+  let contentQuality = null;
+  let network = null;
+  let securityAudit = null;
+  let devices = null;
+  let networkRecorder = null;
+  let screenshot = null;
+  let snapshotPath = null;
+  let loaded = false;
+  
+  // Record an issue that is not a scoring rule (inaccessible site, HTTP errors)
+  const addIssue = (category, message) => {
+    findings.push({ ruleId: null, category, message, penalty: 0 });
+  };
   
   try {
-    const page = await browser.newPage();
+    page = await browserPool.acquirePage();
+    
+    // Offline evaluations answer every request from the snapshot; capture mode records this live visit
+    if (snapshot) await serveSnapshot(page, snapshot);
+    const recorder = options.captureSnapshot && !snapshot ? new SnapshotRecorder(page) : null;
+    
+    // Core Web Vitals come from a throttled mobile load unless the homepage load itself is asked for
+    const throttledVitals = !(options.webVitals && options.webVitals.throttled === false);
+    const homepageVitals = !snapshot && options.webVitals !== false && !throttledVitals;
+    if (homepageVitals) await observeWebVitals(page);
+    
+    // Record every request of the homepage load for the page weight analysis. Offline, the
+    // analysis saved with the snapshot is reused since replayed responses have no real sizes
+    if (!snapshot && options.network !== false) {
+      networkRecorder = new NetworkRecorder(page);
+      await networkRecorder.start();
+    }
     
     // Set timeout for navigation to handle slow or non-responsive sites
     const response = await page.goto(url, { 
         waitUntil: 'networkidle2',
       timeout: 30000
     }).catch(err => {
-      issues.push(`Website completely inaccessible - ${err.message.includes('SSL') ? 'SSL certificate error prevents access' : 'server not responding or domain issues'}`);
+      const sslError = err.message.includes('SSL');
+      addIssue(sslError ? 'security' : 'performance', `Website completely inaccessible - ${sslError ? 'SSL certificate error prevents access' : 'server not responding or domain issues'}`);
       score = 10; // Set very low score for completely inaccessible websites
       return null;
     });
     
+    // Same shape as a full evaluation, with every check left empty
     if (!response) {
-      await browser.close();
-      return { score: Math.max(0, score), issues };
+      return {
+        score: Math.max(0, score),
+        categoryScores: getEmptyCategoryScores(),
+        issues: formatIssues(findings, ruleSet),
+        findings,
+        pages,
+        robots,
+        links,
+        accessibility,
+        technologies,
+        vulnerableLibraries,
+        contactDetails,
+        localBusiness,
+        webVitals,
+        designAge,
+        conversion,
+        contentQuality,
+        network,
+        securityAudit,
+        devices,
+        screenshot
+      };
     }
+    loaded = true;
+    
+    // Read before the checks below resize and scroll the page, which would count as layout shifts
+    const loadVitals = homepageVitals
+      ? await collectWebVitals(page, 'desktop (unthrottled)').catch(() => null)
+      : null;
     
     // Check HTTP status
     const status = response.status();
     if (status >= 400) {
-      issues.push(`Website returns error ${status} - server configuration problems preventing access`);
+      addIssue('performance', `Website returns error ${status} - server configuration problems preventing access`);
       score = 15; // Very low score for HTTP errors
     }
     
-    // Check if mobile-friendly
-    const isMobile = await page.evaluate(() => {
-      return window.matchMedia('(max-width: 768px)').matches || 
-             document.querySelector('meta[name="viewport"]') !== null;
-    });
-    
-    if (!isMobile) {
-      issues.push('Mobile users cannot properly view your website - losing 60% of potential customers');
-      score -= 15;
+    // Screenshot before the checks below resize, scroll and tab through the page
+    if (options.screenshot) {
+      await waitFor(2000); // Wait for any lazy-loaded images
+      screenshot = await captureHeroScreenshot(page);
     }
     
-    // Check page load time
-    const performanceTiming = await page.evaluate(() => {
-      return {
-        loadTime: window.performance.timing.loadEventEnd - window.performance.timing.navigationStart,
-        domContentLoaded: window.performance.timing.domContentLoadedEventEnd - window.performance.timing.navigationStart
-      };
-    });
+    // Collect everything the rules look at, then run the rule set against it
+    const facts = await collectPageFacts(page, response, snapshot ? getSnapshotOverrides(snapshot) : {});
     
-    if (performanceTiming.loadTime > 3000) {
-      issues.push(`Website loads too slowly (${(performanceTiming.loadTime / 1000).toFixed(2)}s) - visitors leave after 3 seconds`);
-      score -= 10;
+    // The homepage load (including lazy-loaded images) is done - stop before the crawl adds other pages
+    if (networkRecorder) {
+      const requests = await networkRecorder.stop();
+      networkRecorder = null;  // Stopped - the finally block only stops a recorder an error left running
+      facts.network = analyzeNetwork(requests, facts.finalUrl, facts.$);
+    } else if (snapshot) {
+      facts.network = snapshot.network || null;
     }
     
-    // Check for SSL
-    const isSecure = response.securityDetails() !== null;
-    const finalUrl = response.url(); // Get the final URL after any redirects
-    
-    if (!isSecure || !finalUrl.startsWith('https://')) {
-      issues.push('Website lacks security certificate - Google penalizes unsecure sites in search rankings');
-      score -= 15;
-    } else {
-      // Additional SSL checks
-      const security = await response.securityDetails();
-      if (security) {
-        const validFrom = security.validFrom();
-        const validTo = security.validTo();
-        const now = Date.now() / 1000; // Convert to seconds to match Puppeteer's timestamp
-        const daysUntilExpiry = Math.floor((validTo - now) / (60 * 60 * 24));
-        
-        if (daysUntilExpiry < 0) {
-          issues.push(`Security certificate expired ${Math.abs(daysUntilExpiry)} days ago - major security risk`);
-          score -= 15;
-        } else if (daysUntilExpiry < 30) {
-          issues.push(`Security certificate expires in ${daysUntilExpiry} days - needs immediate renewal`);
-          score -= 5;
-        }
-      }
+    // Security headers, TLS version and the homepage's cookies, before the crawl navigates away.
+    // Offline, the audit saved with the snapshot is reused
+    if (snapshot) {
+      facts.securityAudit = snapshot.securityAudit || null;
+    } else if (options.securityAudit !== false) {
+      facts.securityAudit = await auditSecurity(page, response);
     }
-
-    // Check for mixed content
-    const mixedContent = await page.evaluate(() => {
-      return {
-        insecureImages: Array.from(document.querySelectorAll('img[src^="http:"]')).length,
-        insecureScripts: Array.from(document.querySelectorAll('script[src^="http:"]')).length,
-        insecureLinks: Array.from(document.querySelectorAll('link[href^="http:"]')).length
-      };
-    });
-
-    if (mixedContent.insecureImages > 0 || mixedContent.insecureScripts > 0 || mixedContent.insecureLinks > 0) {
-      issues.push('Website has security vulnerabilities that browsers warn users about');
-      score -= 5;
-    }
-    
-    // Check for responsive design
-    await page.setViewport({ width: 375, height: 667 }); // Mobile viewport
-    await waitFor(1000);
-    
-    const isMobileResponsive = await page.evaluate(() => {
-      const body = document.body;
-      const html = document.documentElement;
-      return body.scrollWidth <= window.innerWidth;
-    });
     
-    if (!isMobileResponsive) {
-      issues.push('Website breaks on mobile devices - 70% of users will immediately leave');
-      score -= 15;
+    // Reload the homepage on every device profile for per-device overflow checks and screenshots,
+    // before the crawl moves on to other pages. Otherwise just resize the loaded page to a phone
+    facts.devices = options.devices
+      ? await emulateDevices(page, facts.finalUrl)
+      : await checkPhoneOverflow(page);
+    
+    // robots.txt and the sitemaps are fetched once, for both the crawl and the audit
+    const robotsAudit = !snapshot && options.robotsAudit !== false;
+    const crawlerFiles = !snapshot && (options.crawl || robotsAudit)
+      ? await fetchCrawlerFiles(facts.finalUrl)
+      : null;
+    
+    // Optional shallow crawl - per-page rules roll up across every crawled page.
+    // Offline, the pages crawled when the snapshot was captured are revisited
+    if (options.crawl) {
+      const crawlOptions = typeof options.crawl === 'object' ? { ...options.crawl } : {};
+      if (snapshot) crawlOptions.urls = snapshot.pages;
+      else crawlOptions.crawlerFiles = crawlerFiles;
+      const crawledPages = await crawlSite(page, facts.finalUrl, facts.$, collectPageContent, crawlOptions);
+      facts.pages.push(...crawledPages);
     }
     
-    // Restore viewport
-    await page.setViewport({ width: 1366, height: 768 });
-    
-    // Check for basic SEO elements
-    const html = await page.content();
-    const $ = cheerio.load(html);
-    
-    // Initialize SEO issues array
-    const seoIssues = [];
-    let seoScore = 100;
-    
-    // Check title
-    const title = $('title').text().trim();
-    if (!title) {
-      seoIssues.push('Missing page title - invisible to Google search results');
-      seoScore -= 10;
-    } else if (title.length < 10) {
-      seoIssues.push(`Page title too short (${title.length} chars) - poor Google search visibility`);
-      seoScore -= 5;
-    } else if (title.length > 60) {
-      seoIssues.push(`Page title too long (${title.length} chars) - gets cut off in Google search`);
-      seoScore -= 3;
-    }
-    
-    // Check meta description
-    const metaDescription = $('meta[name="description"]').attr('content');
-    if (!metaDescription) {
-      seoIssues.push('Missing meta description - no preview text in Google search results');
-      seoScore -= 8;
-    } else if (metaDescription.length < 50) {
-      seoIssues.push(`Meta description too short (${metaDescription.length} chars) - wasted Google search space`);
-      seoScore -= 4;
-    } else if (metaDescription.length > 160) {
-      seoIssues.push(`Meta description too long (${metaDescription.length} chars) - gets cut off in Google`);
-      seoScore -= 3;
-    }
-    
-    // Check for headings hierarchy
-    const h1Count = $('h1').length;
-    const h2Count = $('h2').length;
-    const h3Count = $('h3').length;
-    
-    if (h1Count === 0) {
-      seoIssues.push('No main heading (H1) - Google cannot understand page topic');
-      seoScore -= 8;
-    } else if (h1Count > 1) {
-      seoIssues.push(`Multiple main headings (${h1Count}) confuse Google about page focus`);
-      seoScore -= 5;
+    // Check robots.txt and the sitemaps it references - key pages must stay crawlable.
+    // Offline, the audit saved with the snapshot is reused
+    if (snapshot) {
+      facts.robots = snapshot.robots;
+    } else if (robotsAudit) {
+      const keyPages = [
+        facts.finalUrl,
+        ...findPageLinks(facts.finalUrl, facts.$).keyPages,
+        ...facts.pages.map(crawledPage => crawledPage.url)
+      ];
+      facts.robots = await auditRobotsAndSitemaps(facts.finalUrl, { keyPages: [...new Set(keyPages)], crawlerFiles });
     }
     
-    if (h2Count === 0) {
-      seoIssues.push('No section headings (H2) - poor content structure for Google');
-      seoScore -= 3;
+    // Probe the links of every evaluated page for broken targets, redirect loops and dead
+    // social profiles. Offline, the results saved with the snapshot are reused
+    if (snapshot) {
+      facts.links = snapshot.links || null;
+    } else if (options.linkCheck !== false) {
+      facts.links = await checkLinks(facts.pages, typeof options.linkCheck === 'object' ? options.linkCheck : {});
     }
     
-    // Check for canonical URL
-    const canonical = $('link[rel="canonical"]').attr('href');
-    if (!canonical) {
-      seoIssues.push('Missing canonical URL - Google may penalize for duplicate content');
-      seoScore -= 3;
-    }
-    
-    // Check for robots meta tag
-    const robotsMeta = $('meta[name="robots"]').attr('content');
-    if (!robotsMeta) {
-      seoIssues.push('Missing robots directive - unclear Google indexing instructions');
-      seoScore -= 2;
-    } else if (robotsMeta.includes('noindex') || robotsMeta.includes('nofollow')) {
-      seoIssues.push(`Website blocked from Google search results: ${robotsMeta}`);
-      seoScore -= 10;
-    }
-    
-    // Check for structured data
-    const structuredData = $('script[type="application/ld+json"]');
-    if (structuredData.length === 0) {
-      seoIssues.push('Missing business schema markup - reduced Google search features');
-      seoScore -= 5;
+    // A throttled mobile load needs its own emulation, so it runs after every other check on
+    // this page. Offline, the values measured at capture time are reused
+    if (snapshot) {
+      facts.webVitals = snapshot.webVitals || null;
+    } else if (throttledVitals) {
+      facts.webVitals = await measureWebVitals(page, facts.finalUrl);
+    } else {
+      facts.webVitals = loadVitals;
     }
     
-    // Check for Open Graph tags
-    const ogTitle = $('meta[property="og:title"]').attr('content');
-    const ogDescription = $('meta[property="og:description"]').attr('content');
-    const ogImage = $('meta[property="og:image"]').attr('content');
-    
-    if (!ogTitle || !ogDescription || !ogImage) {
-      seoIssues.push('Poor social media sharing - no preview images or text on Facebook/LinkedIn');
-      seoScore -= 3;
-    }
+    // CTAs on the homepage's first screen, plus the booking, chat and quote tools of every page
+    facts.conversion = auditConversion(facts.ctas, facts.pages);
     
-    // Check for mobile viewport
-    const viewport = $('meta[name="viewport"]').attr('content');
-    if (!viewport) {
-      seoIssues.push('Missing mobile viewport - Google penalizes non-mobile-friendly sites');
-      seoScore -= 5;
-    }
+    // Word counts, placeholders, duplicates and reading level of the copy on every page
+    facts.contentQuality = analyzeContentQuality(facts.pages, options.business);
     
-    // Add SEO category to issues
-    if (seoIssues.length > 0) {
-      seoIssues.forEach(issue => {
-        issues.push(issue);
+    // Name, address and phone should match the Google Maps listing on every page we looked at
+    if (options.business) {
+      facts.nap = checkNapConsistency(options.business, {
+        schema: facts.structuredData,
+        phones: facts.pages.flatMap(crawledPage => crawledPage.contactDetails.phones),
+        text: facts.pages.map(crawledPage => crawledPage.$('body').text()).join(' ')
       });
-      
-      // Impact overall score proportionally
-      score -= Math.min(20, (100 - seoScore) / 4); // Max 20 point penalty on overall score
     }
     
-    // Check for images with alt text
-    const images = $('img').toArray();
-    const imagesWithoutAlt = images.filter(img => !$(img).attr('alt'));
-    if (imagesWithoutAlt.length > 0 && images.length > 0) {
-      const percentage = Math.round((imagesWithoutAlt.length / images.length) * 100);
-      if (percentage > 30) {
-        issues.push(`${percentage}% of images lack descriptions - hurting Google image search rankings`);
-        score -= 5;
-      }
-    }
-    
-    // Check for social media presence
-    const hasSocialLinks = $('a[href*="facebook.com"], a[href*="twitter.com"], a[href*="instagram.com"], a[href*="linkedin.com"]').length > 0;
-    if (!hasSocialLinks) {
-      issues.push('No social media links - missing opportunities for customer engagement and referrals');
-      score -= 5;
+    findings.push(...applyRules(ruleSet, RULE_CHECKS, facts));
+    pages = facts.pages.map(({ url, title, h1Count, hasPhone, hasEmail, hasContactForm }) => ({
+      url,
+      title,
+      h1Count,
+      hasContactMethod: hasPhone || hasEmail || hasContactForm
+    }));
+    robots = facts.robots;
+    links = facts.links;
+    accessibility = facts.accessibility;
+    technologies = facts.technologies;
+    vulnerableLibraries = facts.vulnerableLibraries;
+    contactDetails = mergeContactDetails(facts.pages.map(crawledPage => crawledPage.contactDetails));
+    localBusiness = { schema: facts.structuredData, nap: facts.nap };
+    webVitals = facts.webVitals;
+    designAge = facts.designAge;
+    conversion = facts.conversion;
+    contentQuality = facts.contentQuality;
+    network = facts.network;
+    securityAudit = facts.securityAudit;
+    devices = facts.devices;
+    
+    if (recorder) {
+      snapshotPath = await recorder.save(options.captureSnapshot, {
+        url,
+        finalUrl: facts.finalUrl,
+        loadTime: facts.loadTime,
+        security: facts.certificate,
+        robots: facts.robots,
+        links: facts.links,
+        webVitals: facts.webVitals,
+        network: facts.network,
+        securityAudit: facts.securityAudit,
+        pages: facts.pages.slice(1).map(crawledPage => crawledPage.url)
+      });
+      console.log(`Saved snapshot to ${snapshotPath}`);
     }
     
-    // Check for contact information
-    const hasPhone = page.evaluate(() => {
-      const text = document.body.innerText;
-      return /(\+\d{1,2}\s)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}/.test(text) || 
-             /\d{3}-\d{3}-\d{4}/.test(text);
-    });
-    
-    const hasEmail = page.evaluate(() => {
-      const text = document.body.innerText;
-      return /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/.test(text);
-    });
-    
-    const hasContactForm = $('form').length > 0;
-    
-    if (!hasPhone && !hasEmail && !hasContactForm) {
-      issues.push('No clear contact method - potential customers cannot reach you easily');
-      score -= 10;
-    }
+    // Give user a moment to see the final page
+    await waitFor(2000);
     
-    // Check for copyright date
-    const copyrightText = $('.footer, footer, .copyright, [class*="copyright"]').text();
-    if (copyrightText) {
-      const currentYear = new Date().getFullYear();
-      const copyrightYear = copyrightText.match(/\b(19|20)\d{2}\b/g);
-      if (copyrightYear && Math.max(...copyrightYear) < currentYear - 1) {
-        issues.push(`Outdated copyright (${Math.max(...copyrightYear)}) makes business appear inactive or abandoned`);
-        score -= 5;
-      }
+  } catch (error) {
+    console.error(`Error evaluating website: ${error.message}`);
+    addIssue('performance', `Error evaluating website: ${error.message}`);
+    score -= 30;
+  } finally {
+    if (networkRecorder) await networkRecorder.stop();
+    if (page) await browserPool.releasePage(page);
+    if (!options.browserPool) await browserPool.close();
+  }
+  
+  // Calculate final score from the category scores
+  const { score: finalScore, categoryScores } = calculateScores(score, findings, ruleSet.categories);
+  
+  // The Design category score doubles as the design-age score
+  if (designAge) {
+    designAge = { score: categoryScores.design, signals: designAge.signals };
+  }
+  
+  const result = {
+    score: finalScore,
+    categoryScores,
+    issues: formatIssues(findings, ruleSet),
+    findings,
+    pages,
+    robots,
+    links,
+    accessibility,
+    technologies,
+    vulnerableLibraries,
+    contactDetails,
+    localBusiness,
+    webVitals,
+    designAge,
+    conversion,
+    contentQuality,
+    network,
+    securityAudit,
+    devices,
+    screenshot
+  };
+  if (snapshotPath) {
+    result.snapshotPath = snapshotPath;
+  }
+  
+  // Optional Lighthouse pass - reported alongside our own score, never deducted from it.
+  // Lighthouse loads the live site itself, so it never runs offline
+  if (options.lighthouse && loaded && !snapshot) {
+    const lighthouseScores = await runLighthouseAnalysis(url, { formFactor: options.lighthouseFormFactor });
+    if (lighthouseScores) {
+      result.lighthouse = lighthouseScores;
+      const lighthouseFindings = getLighthouseFindings(lighthouseScores);
+      findings.push(...lighthouseFindings);
+      result.issues.push(...formatIssues(lighthouseFindings, ruleSet));
     }
-    
-    // Check for broken images
-    const brokenImages = await page.evaluate(async () => {
-      // Helper function to check if an image URL is valid
-      const isValidImageUrl = (url) => {
-        if (!url) return false;
-        if (url.startsWith('data:')) return true; // Data URLs are valid
-        // Handle relative URLs
-        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-          const a = document.createElement('a');
-          a.href = url;
-          url = a.href;
-        }
-        return url;
-      };
+  }
+  
+  return result;
+}
 
-      // Wait longer for modern lazy-loading and CDNs
-      await new Promise(resolve => setTimeout(resolve, 5000));
+/**
+ * Collect the facts the scoring rules are evaluated against
+ * @param {Object} page - Puppeteer page with the website loaded
+ * @param {Object} response - Puppeteer response of the main navigation
+ * @param {Object} [overrides] - Facts replayed from a snapshot instead of measured: `certificate`, `loadTime`, `now`
+ * @returns {Promise<Object>} - Page facts
+ */
+async function collectPageFacts(page, response, overrides = {}) {
+  // Check if mobile-friendly
+  const isMobile = await page.evaluate(() => {
+    return window.matchMedia('(max-width: 768px)').matches || 
+           document.querySelector('meta[name="viewport"]') !== null;
+  });
+  
+  // Check page load time
+  const performanceTiming = await page.evaluate(() => {
+    return {
+      loadTime: window.performance.timing.loadEventEnd - window.performance.timing.navigationStart,
+      domContentLoaded: window.performance.timing.domContentLoadedEventEnd - window.performance.timing.navigationStart
+    };
+  });
+  
+  // Check for SSL
+  const security = response.securityDetails();
+  const certificate = 'certificate' in overrides ? overrides.certificate : security && { validTo: security.validTo() };
+  const finalUrl = response.url(); // Get the final URL after any redirects
+  let daysUntilExpiry = null;
+  if (certificate && certificate.validTo) {
+    const now = (overrides.now || Date.now()) / 1000; // Convert to seconds to match Puppeteer's timestamp
+    daysUntilExpiry = Math.floor((certificate.validTo - now) / (60 * 60 * 24));
+  }
+  
+  // Check for mixed content
+  const mixedContent = await page.evaluate(() => {
+    return {
+      insecureImages: Array.from(document.querySelectorAll('img[src^="http:"]')).length,
+      insecureScripts: Array.from(document.querySelectorAll('script[src^="http:"]')).length,
+      insecureLinks: Array.from(document.querySelectorAll('link[href^="http:"]')).length
+    };
+  });
+  
+  // Parse the rendered HTML for the SEO and content rules
+  const homePage = await collectPageContent(page);
+  
+  // Parse the JSON-LD structured data for the LocalBusiness checks
+  const structuredData = analyzeStructuredData(homePage.$);
+  
+  // Detect the CMS, e-commerce platform and libraries the site is built with
+  const technologies = await detectTechnologies(page, response.headers(), homePage.$);
+  
+  // Match the library versions against the local advisory list
+  const vulnerableLibraries = findVulnerableLibraries(technologies);
+  
+  // Check for broken images
+  const brokenImages = await findBrokenImages(page);
+  
+  // Dated design signals, at the desktop viewport
+  const designAge = await analyzeDesignAge(page);
+  
+  // Calls-to-action in the first screen on desktop and mobile
+  const ctas = await findAboveFoldCtas(page);
+  
+  // WCAG checks last - tabbing through the page moves focus and may open menus
+  const accessibility = await auditAccessibility(page);
+  
+  return {
+    finalUrl,
+    isSecure: Boolean(certificate),
+    certificate,
+    daysUntilExpiry,
+    isMobile,
+    loadTime: typeof overrides.loadTime === 'number' ? overrides.loadTime : performanceTiming.loadTime,
+    mixedContent,
+    $: homePage.$,
+    pages: [homePage],
+    brokenImages,
+    designAge,
+    ctas,
+    conversion: null,
+    contentQuality: null,
+    accessibility,
+    technologies,
+    vulnerableLibraries,
+    structuredData,
+    nap: null,
+    webVitals: null,
+    network: null,
+    securityAudit: null,
+    devices: null,
+    robots: null,
+    links: null
+  };
+}
 
-      const brokenCount = {
-        total: 0,
-        reasons: []
-      };
+/**
+ * Collect the per-page facts (parsed HTML, visible text, headings, contact methods) for one page.
+ * Used for the homepage and for every page of a crawl
+ * @param {Object} page - Puppeteer page with the page loaded
+ * @returns {Promise<Object>} - Page content facts
+ */
+async function collectPageContent(page) {
+  const html = await page.content();
+  const $ = cheerio.load(html);
+  
+  // Check for contact information
+  const text = await page.evaluate(() => (document.body ? document.body.innerText : ''));
+  const contactDetails = extractContactDetails($, page.url(), text);
+  
+  return {
+    url: page.url(),
+    $,
+    title: $('title').text().trim(),
+    h1Count: $('h1').length,
+    hasPhone: contactDetails.phones.length > 0,
+    hasEmail: contactDetails.emails.length > 0,
+    hasContactForm: $('form').length > 0,
+    contactDetails,
+    text
+  };
+}
 
-      // Get all images (including background images)
-      const images = Array.from(document.querySelectorAll('*')).filter(el => {
-        // Check if element has background image
-        const style = window.getComputedStyle(el);
-        const bgImage = style.backgroundImage;
-        return el.tagName === 'IMG' || (bgImage && bgImage !== 'none');
-      });
+// Helper function to replay what an offline page load can't measure (certificate, load time)
+// as it was when the snapshot was captured
+function getSnapshotOverrides(snapshot) {
+  return {
+    certificate: snapshot.security,
+    loadTime: snapshot.loadTime,
+    now: snapshot.capturedAt ? Date.parse(snapshot.capturedAt) : undefined
+  };
+}
 
-      for (const element of images) {
-        if (element.tagName === 'IMG') {
-          const img = element;
-          const src = img.getAttribute('src');
-          
-          // Skip if no src but has srcset (responsive images)
-          if (!src && img.getAttribute('srcset')) {
-            continue;
-          }
+// Helper function to capture the hero section (top part of the page) as a JPEG
+async function captureHeroScreenshot(page) {
+  return page.screenshot({
+    type: 'jpeg',
+    quality: 80,
+    clip: { x: 0, y: 0, width: 1366, height: 768 }
+  }).catch(err => {
+    console.error(`Error taking screenshot for ${page.url()}: ${err.message}`);
+    return null;
+  });
+}
 
-          // Skip if no src but data-src exists (lazy loading)
-          if (!src && (img.getAttribute('data-src') || img.getAttribute('data-lazy-src'))) {
-            continue;
-          }
-          
-          // Skip if no src and no alternative sources
-          if (!src) {
-            brokenCount.total++;
-            brokenCount.reasons.push('Image missing src attribute and no alternative sources');
-            continue;
-          }
+// Helper function to count broken images (including background images) on the page
+async function findBrokenImages(page) {
+  return page.evaluate(async () => {
+    // Helper function to check if an image URL is valid
+    const isValidImageUrl = (url) => {
+      if (!url) return false;
+      if (url.startsWith('data:')) return true; // Data URLs are valid
+      // Handle relative URLs
+      if (!url.startsWith('http://') && !url.startsWith('https://')) {
+        const a = document.createElement('a');
+        a.href = url;
+        url = a.href;
+      }
+      return url;
+    };
 
-          // Skip tracking pixels, spacers, and decorative tiny images
-          if ((img.width <= 3 && img.height <= 3) || src.includes('tracking') || src.includes('pixel')) {
-            continue;
-          }
+    // Wait longer for modern lazy-loading and CDNs
+    await new Promise(resolve => setTimeout(resolve, 5000));
 
-          // Handle special cases
-          if (src.startsWith('data:') || src.endsWith('.svg')) {
-            // Check if data URL or SVG is valid
-            if (src.startsWith('data:image/') || (src.endsWith('.svg') && img.complete)) {
-              continue;
-            }
-          }
+    const brokenCount = {
+      total: 0,
+      reasons: []
+    };
 
-          // Check if image is still loading
-          if (!img.complete) {
-            // Wait a bit longer for this specific image
-            try {
-              await new Promise((resolve, reject) => {
-                img.addEventListener('load', resolve);
-                img.addEventListener('error', reject);
-                setTimeout(resolve, 3000); // Additional 3s timeout for this image
-              });
-            } catch (e) {
-              // Only count as broken if it actually failed to load
-              if (!img.complete || img.naturalWidth === 0) {
-                brokenCount.total++;
-                brokenCount.reasons.push(`Image failed to load: ${src}`);
-              }
-            }
+    // Get all images (including background images)
+    const images = Array.from(document.querySelectorAll('*')).filter(el => {
+      // Check if element has background image
+      const style = window.getComputedStyle(el);
+      const bgImage = style.backgroundImage;
+      return el.tagName === 'IMG' || (bgImage && bgImage !== 'none');
+    });
+
+    for (const element of images) {
+      if (element.tagName === 'IMG') {
+        const img = element;
+        const src = img.getAttribute('src');
+        
+        // Skip if no src but has srcset (responsive images)
+        if (!src && img.getAttribute('srcset')) {
+          continue;
+        }
+
+        // Skip if no src but data-src exists (lazy loading)
+        if (!src && (img.getAttribute('data-src') || img.getAttribute('data-lazy-src'))) {
+          continue;
+        }
+        
+        // Skip if no src and no alternative sources
+        if (!src) {
+          brokenCount.total++;
+          brokenCount.reasons.push('Image missing src attribute and no alternative sources');
+          continue;
+        }
+
+        // Skip tracking pixels, spacers, and decorative tiny images
+        if ((img.width <= 3 && img.height <= 3) || src.includes('tracking') || src.includes('pixel')) {
+          continue;
+        }
+
+        // Handle special cases
+        if (src.startsWith('data:') || src.endsWith('.svg')) {
+          // Check if data URL or SVG is valid
+          if (src.startsWith('data:image/') || (src.endsWith('.svg') && img.complete)) {
             continue;
           }
+        }
 
-          // Check dimensions for loaded images
-          if (img.naturalWidth === 0 || img.naturalHeight === 0) {
-            // Double check with a test image
-            try {
-              const testImg = new Image();
-              await new Promise((resolve, reject) => {
-                testImg.onload = resolve;
-                testImg.onerror = reject;
-                testImg.src = src;
-                setTimeout(resolve, 3000);
-              });
-              
-              // If test image loads successfully, original might be lazy-loaded
-              if (testImg.naturalWidth > 0) {
-                continue;
-              }
-              
+        // Check if image is still loading
+        if (!img.complete) {
+          // Wait a bit longer for this specific image
+          try {
+            await new Promise((resolve, reject) => {
+              img.addEventListener('load', resolve);
+              img.addEventListener('error', reject);
+              setTimeout(resolve, 3000); // Additional 3s timeout for this image
+            });
+          } catch (e) {
+            // Only count as broken if it actually failed to load
+            if (!img.complete || img.naturalWidth === 0) {
               brokenCount.total++;
-              brokenCount.reasons.push(`Image has no dimensions: ${src}`);
-            } catch (e) {
-              // Only count if both checks fail
-              brokenCount.total++;
-              brokenCount.reasons.push(`Image failed secondary load check: ${src}`);
+              brokenCount.reasons.push(`Image failed to load: ${src}`);
             }
           }
-        } else {
-          // Handle background images
-          const style = window.getComputedStyle(element);
-          const bgImage = style.backgroundImage;
-          
-          if (bgImage && bgImage !== 'none') {
-            // Extract URL from background-image
-            const url = bgImage.slice(4, -1).replace(/['"]/g, '');
+          continue;
+        }
+
+        // Check dimensions for loaded images
+        if (img.naturalWidth === 0 || img.naturalHeight === 0) {
+          // Double check with a test image
+          try {
+            const testImg = new Image();
+            await new Promise((resolve, reject) => {
+              testImg.onload = resolve;
+              testImg.onerror = reject;
+              testImg.src = src;
+              setTimeout(resolve, 3000);
+            });
             
-            if (!url || url === 'about:blank') {
+            // If test image loads successfully, original might be lazy-loaded
+            if (testImg.naturalWidth > 0) {
               continue;
             }
-
-            // Check if background image loads
-            try {
-              const testImg = new Image();
-              await new Promise((resolve, reject) => {
-                testImg.onload = resolve;
-                testImg.onerror = reject;
-                testImg.src = url;
-                setTimeout(resolve, 3000);
-              });
-            } catch (e) {
-              brokenCount.total++;
-              brokenCount.reasons.push(`Background image failed to load: ${url}`);
-            }
+            
+            brokenCount.total++;
+            brokenCount.reasons.push(`Image has no dimensions: ${src}`);
+          } catch (e) {
+            // Only count if both checks fail
+            brokenCount.total++;
+            brokenCount.reasons.push(`Image failed secondary load check: ${src}`);
           }
         }
-      }
+      } else {
+        // Handle background images
+        const style = window.getComputedStyle(element);
+        const bgImage = style.backgroundImage;
+        
+        if (bgImage && bgImage !== 'none') {
+          // Extract URL from background-image
+          const url = bgImage.slice(4, -1).replace(/['"]/g, '');
+          
+          if (!url || url === 'about:blank') {
+            continue;
+          }
 
-      return brokenCount;
-    });
-    
-    if (brokenImages.total > 0) {
-      // Only penalize if there's a significant number of broken images
-      if (brokenImages.total >= 3) {
-        issues.push(`${brokenImages.total} broken or unloaded images affect website appearance`);
-        score -= Math.min(10, brokenImages.total * 2); // Reduced penalty, capped at 10 points
+          // Check if background image loads
+          try {
+            const testImg = new Image();
+            await new Promise((resolve, reject) => {
+              testImg.onload = resolve;
+              testImg.onerror = reject;
+              testImg.src = url;
+              setTimeout(resolve, 3000);
+            });
+          } catch (e) {
+            brokenCount.total++;
+            brokenCount.reasons.push(`Background image failed to load: ${url}`);
+          }
+        }
       }
     }
-    
-    // Calculate final score
-    score = Math.max(0, score);
-    
-    // Give user a moment to see the final page
-    await waitFor(2000);
-    
-  } catch (error) {
-    console.error(`Error evaluating website: ${error.message}`);
-    issues.push(`Error evaluating website: ${error.message}`);
-    score = Math.max(0, score - 30);
-  } finally {
-    await browser.close();
-  }
-  
-  return {
-    score: Math.max(0, score),
-    issues
+
+    return brokenCount;
+  });
+}
+
+// Helper function to prefix findings with their category label, e.g. "[SEO] Missing page title"
+function formatIssues(findings, ruleSet) {
+  return findings.map(finding => {
+    const category = finding.category && ruleSet.categories[finding.category];
+    return category ? `[${category.label}] ${finding.message}` : finding.message;
+  });
+}
+
+// Helper function to turn poor Lighthouse category scores into (unscored) findings
+function getLighthouseFindings(lighthouseScores) {
+  const lighthouseCategories = {
+    performance: { label: 'performance', category: 'performance' },
+    accessibility: { label: 'accessibility', category: 'content' },
+    bestPractices: { label: 'best practices', category: 'security' },
+    seo: { label: 'SEO', category: 'seo' }
   };
+  
+  return Object.entries(lighthouseCategories)
+    .filter(([key]) => typeof lighthouseScores[key] === 'number' && lighthouseScores[key] < LIGHTHOUSE_POOR_SCORE)
+    .map(([key, { label, category }]) => ({
+      ruleId: null,
+      category,
+      message: `Google Lighthouse ${label} score is only ${lighthouseScores[key]}/100 - well below industry standards`,
+      penalty: 0
+    }));
 }
 
 // Helper function to wait for a given time
@@ -458,17 +713,94 @@ const waitFor = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 // If run directly (not imported)
 if (require.main === module) {
-  const url = process.argv[2];
-  if (!url) {
+  // Optional "--flag value" arguments
+  const getArg = (flag) => {
+    const index = process.argv.indexOf(flag);
+    return index > -1 ? process.argv[index + 1] : undefined;
+  };
+  
+  // The URL can be left out when evaluating a snapshot
+  const url = process.argv[2] && !process.argv[2].startsWith('--') ? process.argv[2] : undefined;
+  if (!url && !getArg('--snapshot')) {
     console.error('Please provide a URL to evaluate');
     process.exit(1);
   }
   
-  evaluateWebsite(url)
+  evaluateWebsite(url, {
+    snapshot: getArg('--snapshot'),
+    captureSnapshot: getArg('--capture'),
+    lighthouse: process.argv.includes('--lighthouse'),
+    rulesPath: getArg('--rules'),
+    vertical: getArg('--vertical'),
+    crawl: process.argv.includes('--crawl') ? { maxPages: Number(getArg('--max-pages')) || undefined } : false,
+    linkCheck: { outbound: process.argv.includes('--outbound-links'), maxLinks: Number(getArg('--max-links')) || undefined },
+    devices: process.argv.includes('--devices'),
+    webVitals: { throttled: !process.argv.includes('--unthrottled-vitals') }
+  })
     .then(result => {
       console.log('\nWebsite Evaluation Results:');
       console.log('------------------------');
       console.log(`Score: ${result.score}/100`);
+      console.log(Object.entries(result.categoryScores)
+        .map(([category, value]) => `${SCORE_CATEGORIES[category].label}: ${value}`)
+        .join(' | '));
+      if (result.lighthouse) {
+        const { performance, accessibility, bestPractices, seo } = result.lighthouse;
+        console.log(`Lighthouse: performance ${performance}, accessibility ${accessibility}, best practices ${bestPractices}, SEO ${seo}`);
+      }
+      if (result.webVitals) {
+        console.log(`Core Web Vitals (${result.webVitals.device}): ${Object.entries(result.webVitals.metrics)
+          .map(([metric, { value, rating }]) => `${metric.toUpperCase()} ${formatMetricValue(metric, value)} (${rating})`)
+          .join(', ')}`);
+      }
+      if (result.securityAudit) {
+        const failed = result.securityAudit.checks.filter(securityCheck => !securityCheck.passed);
+        console.log(`Security checks: ${result.securityAudit.checks.length - failed.length}/${result.securityAudit.checks.length} passed${
+          failed.length > 0 ? ` (failed: ${failed.map(securityCheck => `${securityCheck.label} [${securityCheck.severity}]`).join(', ')})` : ''}`);
+      }
+      if (result.devices) {
+        console.log(`Devices: ${result.devices.map(device => `${device.label} ${device.overflow > 0
+          ? `${device.overflow}px too wide${device.overflowElement ? ` at ${device.overflowElement}` : ''}` : 'fits'}`).join(', ')}`);
+      }
+      if (result.designAge) {
+        console.log(`Design age: ${result.designAge.score}/100${result.designAge.signals.length > 0
+          ? ` (${result.designAge.signals.map(signal => `${signal.label}: ${signal.evidence}`).join('; ')})` : ''}`);
+      }
+      if (result.contentQuality) {
+        const { pages: contentPages, placeholders, readingGrade } = result.contentQuality;
+        console.log(`Content: ${contentPages.map(contentPage => `${contentPage.wordCount} words`).join(', ')}${
+          readingGrade !== null ? `, grade ${readingGrade} reading level` : ''}${
+          placeholders.length > 0 ? `, placeholder text: ${placeholders.map(placeholder => `"${placeholder.text}"`).join(', ')}` : ''}`);
+      }
+      if (result.conversion) {
+        const { ctaAboveFold, oneTapAction, booking, chat, quoteForm } = result.conversion;
+        console.log(`Conversion: CTA above the fold ${ctaAboveFold ? `desktop "${ctaAboveFold.desktop || 'none'}", mobile "${ctaAboveFold.mobile || 'none'}"` : 'not checked'}, one-tap action "${oneTapAction || 'none'}"${
+          [...booking, ...chat, ...(quoteForm ? ['quote form'] : [])].map(tool => `, ${tool}`).join('')}`);
+      }
+      if (result.links) {
+        const { checkedLinks, broken, redirectLoops, deadSocialProfiles } = result.links;
+        console.log(`Links: ${checkedLinks} checked, ${broken.length} broken, ${redirectLoops.length} redirect loops, ${deadSocialProfiles.length} dead social profiles${
+          [...broken, ...redirectLoops, ...deadSocialProfiles].map(link => `\n  ${link.url} (from ${link.sources[0].page}${link.sources[0].text ? ` "${link.sources[0].text}"` : ''})`).join('')}`);
+      }
+      if (result.vulnerableLibraries.length > 0) {
+        console.log(`Vulnerable libraries: ${result.vulnerableLibraries
+          .map(({ library, version, advisoryId, severity }) => `${library} ${version} ${advisoryId} [${severity}]`).join(', ')}`);
+      }
+      if (result.network) {
+        const { totalBytes, requestCount, largestFiles } = result.network;
+        console.log(`Page weight: ${formatBytes(totalBytes)} in ${requestCount} requests (largest: ${largestFiles
+          .map(file => `${file.url} ${formatBytes(file.bytes)}`).slice(0, 3).join(', ')})`);
+      }
+      if (result.technologies.length > 0) {
+        console.log(`Built with: ${result.technologies.map(tech => (tech.version ? `${tech.name} ${tech.version}` : tech.name)).join(', ')}`);
+      }
+      const { emails, phones, contactForms } = result.contactDetails;
+      if (emails.length + phones.length + contactForms.length > 0) {
+        console.log(`Contact: ${[...emails, ...phones, ...contactForms].join(', ')}`);
+      }
+      if (result.pages.length > 1) {
+        console.log(`Pages evaluated: ${result.pages.map(page => page.url).join(', ')}`);
+      }
       console.log('Issues:');
       result.issues.forEach(issue => console.log(`- ${issue}`));
       process.exit(0);
@@ -479,4 +811,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { evaluateWebsite }; 
\ No newline at end of file
+module.exports = { evaluateWebsite, collectPageFacts, getEmptyCategoryScores, SCORE_CATEGORIES }; 
\ No newline at end of file
@@ -0,0 +1,688 @@
+// Checks behind the scoring rules in config/scoring-rules.json, keyed by rule id.
+// Each check receives the facts collected from the page plus the rule's options, and
+// returns nothing when the page passes or the issue message (see rule-engine.js)
+
+const { WEB_VITALS, formatMetricValue } = require('./web-vitals');
+const { formatBytes } = require('./network-analysis');
+const { SEVERITIES } = require('./security-audit');
+
+const SOCIAL_LINK_SELECTOR = 'a[href*="facebook.com"], a[href*="twitter.com"], a[href*="instagram.com"], a[href*="linkedin.com"]';
+
+// Helper function to list page paths in an issue, e.g. "/about, /services"
+const listPages = (pages) => pages.map(page => {
+  try {
+    return new URL(page.url).pathname;
+  } catch (error) {
+    return page.url;
+  }
+}).join(', ');
+
+// Helper function to name a resource by its file name, e.g. "hero.png"
+const getFileName = (url) => {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return decodeURIComponent(pathname.split('/').filter(Boolean).pop() || hostname);
+  } catch (error) {
+    return url;
+  }
+};
+
+// Helper function to describe a checked link with the first page linking to it, e.g.
+// '/old-menu (404) linked from /about as "Our menu"'
+const describeLink = (link, detail) => {
+  const [source] = link.sources;
+  const target = link.internal ? listPages([link]) : link.url;
+  return `${target}${detail ? ` (${detail})` : ''} linked from ${listPages([{ url: source.page }])}${
+    source.text ? ` as "${source.text}"` : ''}`;
+};
+
+// Helper function to name the devices a page overflows on, with the worst overflow, e.g.
+// 'Small phone (iPhone SE) (content 140px wider than the screen at <div#wrapper>)'
+const describeOverflow = (devices) => {
+  const worst = devices.reduce((a, b) => (b.overflow > a.overflow ? b : a));
+  return `${devices.map(device => device.label).join(', ')} (content ${worst.overflow}px wider than the screen${
+    worst.overflowElement ? ` at ${worst.overflowElement}` : ''})`;
+};
+
+// Helper function to find an accessibility audit group by WCAG criterion (e.g. '1.4.3')
+const findCriterion = (accessibility, criterion) => accessibility
+  ? accessibility.criteria.find(group => group.criterion === criterion)
+  : null;
+
+// Helper function to build a Core Web Vitals check from the first of `metrics` that was measured.
+// The full weight applies when it is poor, half when it needs improvement
+const webVitalCheck = (metrics, consequence) => ({ webVitals }) => {
+  const metric = webVitals && metrics.find(key => webVitals.metrics[key]);
+  if (!metric) return;
+
+  const { value, rating } = webVitals.metrics[metric];
+  if (rating === 'good') return;
+
+  const { label, good } = WEB_VITALS[metric];
+  return {
+    message: `${label} is ${formatMetricValue(metric, value)} (${rating === 'poor' ? 'poor' : 'needs improvement'}, good is ${formatMetricValue(metric, good)} or less) measured on ${webVitals.device} - ${consequence}`,
+    factor: rating === 'poor' ? 1 : 0.5
+  };
+};
+
+// Helper function to build a check from the security audit check with the same id.
+// The share of the rule's weight it costs depends on the failed check's severity
+const securityCheck = (id) => ({ securityAudit }) => {
+  const failed = securityAudit && securityAudit.checks.find(result => result.id === id && !result.passed);
+  if (failed) {
+    return { message: failed.message, factor: SEVERITIES[failed.severity].factor };
+  }
+};
+
+// Helper function to build a check from the design-age signal with the same id
+const designCheck = (id, consequence) => ({ designAge }) => {
+  const signal = designAge && designAge.signals.find(detected => detected.id === id);
+  if (signal) {
+    return `${signal.label} (${signal.evidence}) - ${consequence}`;
+  }
+};
+
+const RULE_CHECKS = {
+  // Security
+  'no-ssl': (facts) => {
+    if (!facts.isSecure || !facts.finalUrl.startsWith('https://')) {
+      return 'Website lacks security certificate - Google penalizes unsecure sites in search rankings';
+    }
+  },
+
+  'ssl-expired': (facts) => {
+    if (facts.daysUntilExpiry !== null && facts.daysUntilExpiry < 0) {
+      return `Security certificate expired ${Math.abs(facts.daysUntilExpiry)} days ago - major security risk`;
+    }
+  },
+
+  'ssl-expiring': (facts, { days = 30 }) => {
+    if (facts.daysUntilExpiry !== null && facts.daysUntilExpiry >= 0 && facts.daysUntilExpiry < days) {
+      return `Security certificate expires in ${facts.daysUntilExpiry} days - needs immediate renewal`;
+    }
+  },
+
+  'mixed-content': (facts) => {
+    const { insecureImages, insecureScripts, insecureLinks } = facts.mixedContent;
+    if (insecureImages > 0 || insecureScripts > 0 || insecureLinks > 0) {
+      return 'Website has security vulnerabilities that browsers warn users about';
+    }
+  },
+
+  // HTTPS redirect, security headers, TLS version and cookie flags
+  'no-https-redirect': securityCheck('no-https-redirect'),
+  'missing-hsts': securityCheck('missing-hsts'),
+  'missing-csp': securityCheck('missing-csp'),
+  'missing-frame-options': securityCheck('missing-frame-options'),
+  'missing-content-type-options': securityCheck('missing-content-type-options'),
+  'missing-referrer-policy': securityCheck('missing-referrer-policy'),
+  'outdated-tls': securityCheck('outdated-tls'),
+  'insecure-cookies': securityCheck('insecure-cookies'),
+
+  // Known-vulnerable front-end library versions - the most severe advisory sets the penalty
+  'vulnerable-libraries': ({ vulnerableLibraries }) => {
+    if (!vulnerableLibraries || vulnerableLibraries.length === 0) return;
+
+    const libraries = [...new Set(vulnerableLibraries.map(({ library, version }) => `${library} ${version}`))];
+    return {
+      message: `Outdated libraries with known security holes: ${libraries.map(name => `${name} (${vulnerableLibraries
+        .filter(({ library, version }) => `${library} ${version}` === name).map(({ advisoryId }) => advisoryId).join(', ')})`).join('; ')}`,
+      factor: Math.max(...vulnerableLibraries.map(({ severity }) => SEVERITIES[severity].factor))
+    };
+  },
+
+  // Mobile
+  'not-mobile-friendly': (facts) => {
+    if (!facts.isMobile) {
+      return 'Mobile users cannot properly view your website - losing 60% of potential customers';
+    }
+  },
+
+  // Both phone profiles, or just the small phone viewport when the full emulation was off
+  'mobile-overflow': ({ devices }) => {
+    const overflowing = devices ? devices.filter(device => device.type === 'phone' && device.overflow > 0) : [];
+    if (overflowing.length > 0) {
+      return `Website breaks on ${describeOverflow(overflowing)} - 70% of users will immediately leave`;
+    }
+  },
+
+  'tablet-overflow': ({ devices }) => {
+    const overflowing = devices ? devices.filter(device => device.type === 'tablet' && device.overflow > 0) : [];
+    if (overflowing.length > 0) {
+      return `Website breaks on ${describeOverflow(overflowing)} - tablet visitors have to scroll sideways`;
+    }
+  },
+
+  // Performance
+  'slow-lcp': webVitalCheck(['lcp'], 'visitors wait for the main content and leave'),
+  'layout-shift': webVitalCheck(['cls'], 'content jumps around while the page loads'),
+  // INP needs real interactions, so lab runs fall back to Total Blocking Time
+  'slow-interaction': webVitalCheck(['inp', 'tbt'], 'the page freezes when visitors tap or scroll'),
+  'slow-fcp': webVitalCheck(['fcp'], 'visitors stare at a blank screen'),
+  'slow-ttfb': webVitalCheck(['ttfb'], 'the server is slow to respond'),
+
+  // Load time fallback for when Core Web Vitals couldn't be measured (e.g. HAR snapshots)
+  'slow-load': (facts, { maxLoadTime = 3000 }) => {
+    if (!facts.webVitals && facts.loadTime > maxLoadTime) {
+      return `Website loads too slowly (${(facts.loadTime / 1000).toFixed(2)}s) - visitors leave after ${maxLoadTime / 1000} seconds`;
+    }
+  },
+
+  // Page weight and network - from the requests of the homepage load
+  'heavy-page': ({ network }, { maxPageWeight = 3145728 }) => {
+    if (network && network.totalBytes > maxPageWeight) {
+      return {
+        message: `Homepage downloads ${formatBytes(network.totalBytes)} in ${network.requestCount} requests - slow and costly on mobile data`,
+        factor: network.totalBytes / (maxPageWeight * 2)
+      };
+    }
+  },
+
+  'oversized-files': ({ network }, { maxFileSize = 512000, fullPenaltyCount = 3 }) => {
+    const oversized = network ? network.largestFiles.filter(file => file.bytes > maxFileSize) : [];
+    if (oversized.length > 0) {
+      return {
+        message: `Oversized files: ${oversized.map(file => `${getFileName(file.url)} (${formatBytes(file.bytes)} ${file.type})`).join(', ')} - compress or resize them`,
+        factor: oversized.length / fullPenaltyCount
+      };
+    }
+  },
+
+  'uncompressed-text': ({ network }, { fullPenaltyCount = 5 }) => {
+    if (network && network.uncompressed.length > 0) {
+      const bytes = network.uncompressed.reduce((sum, file) => sum + file.bytes, 0);
+      return {
+        message: `${network.uncompressed.length} HTML, CSS or JavaScript files (${formatBytes(bytes)}) are sent without gzip or Brotli compression`,
+        factor: network.uncompressed.length / fullPenaltyCount
+      };
+    }
+  },
+
+  'missing-cache-headers': ({ network }, { fullPenaltyCount = 10 }) => {
+    if (network && network.missingCache.length > 0) {
+      return {
+        message: `${network.missingCache.length} images, scripts or stylesheets have no cache headers - returning visitors download them again`,
+        factor: network.missingCache.length / fullPenaltyCount
+      };
+    }
+  },
+
+  'render-blocking-resources': ({ network }, { maxResources = 3, fullPenaltyCount = 10 }) => {
+    if (network && network.renderBlocking.length > maxResources) {
+      return {
+        message: `${network.renderBlocking.length} stylesheets and scripts block the first paint (${network.renderBlocking.slice(0, 3).map(getFileName).join(', ')}) - defer or inline them`,
+        factor: network.renderBlocking.length / fullPenaltyCount
+      };
+    }
+  },
+
+  'too-many-requests': ({ network }, { maxRequests = 100 }) => {
+    if (network && network.requestCount > maxRequests) {
+      return `Homepage makes ${network.requestCount} requests - every extra file slows loading on mobile`;
+    }
+  },
+
+  'many-third-parties': ({ network }, { maxDomains = 10 }) => {
+    if (network && network.thirdPartyDomains.length > maxDomains) {
+      return `Homepage loads from ${network.thirdPartyDomains.length} third-party domains (${network.thirdPartyDomains.slice(0, 5).join(', ')}, ...) - each adds a connection and a privacy risk`;
+    }
+  },
+
+  // SEO
+  'missing-title': ({ $ }) => {
+    if (!$('title').text().trim()) {
+      return 'Missing page title - invisible to Google search results';
+    }
+  },
+
+  'short-title': ({ $ }, { minLength = 10 }) => {
+    const title = $('title').text().trim();
+    if (title && title.length < minLength) {
+      return `Page title too short (${title.length} chars) - poor Google search visibility`;
+    }
+  },
+
+  'long-title': ({ $ }, { maxLength = 60 }) => {
+    const title = $('title').text().trim();
+    if (title.length > maxLength) {
+      return `Page title too long (${title.length} chars) - gets cut off in Google search`;
+    }
+  },
+
+  'missing-meta-description': ({ $ }) => {
+    if (!$('meta[name="description"]').attr('content')) {
+      return 'Missing meta description - no preview text in Google search results';
+    }
+  },
+
+  'short-meta-description': ({ $ }, { minLength = 50 }) => {
+    const metaDescription = $('meta[name="description"]').attr('content');
+    if (metaDescription && metaDescription.length < minLength) {
+      return `Meta description too short (${metaDescription.length} chars) - wasted Google search space`;
+    }
+  },
+
+  'long-meta-description': ({ $ }, { maxLength = 160 }) => {
+    const metaDescription = $('meta[name="description"]').attr('content');
+    if (metaDescription && metaDescription.length > maxLength) {
+      return `Meta description too long (${metaDescription.length} chars) - gets cut off in Google`;
+    }
+  },
+
+  // Heading rules run on every evaluated page; the penalty scales with the share of failing pages
+  'missing-h1': ({ pages }) => {
+    const failing = pages.filter(page => page.h1Count === 0);
+    if (failing.length === 0) return;
+    if (pages.length === 1) {
+      return 'No main heading (H1) - Google cannot understand page topic';
+    }
+    return {
+      message: `No main heading (H1) on ${failing.length} of ${pages.length} pages (${listPages(failing)}) - Google cannot understand page topic`,
+      factor: failing.length / pages.length
+    };
+  },
+
+  'multiple-h1': ({ pages }) => {
+    const failing = pages.filter(page => page.h1Count > 1);
+    if (failing.length === 0) return;
+    if (pages.length === 1) {
+      return `Multiple main headings (${failing[0].h1Count}) confuse Google about page focus`;
+    }
+    return {
+      message: `Multiple main headings on ${failing.length} of ${pages.length} pages (${listPages(failing)}) confuse Google about page focus`,
+      factor: failing.length / pages.length
+    };
+  },
+
+  'duplicate-titles': ({ pages }) => {
+    const pagesByTitle = {};
+    pages.filter(page => page.title).forEach(page => {
+      pagesByTitle[page.title] = [...(pagesByTitle[page.title] || []), page];
+    });
+
+    const duplicates = Object.values(pagesByTitle).filter(group => group.length > 1);
+    if (duplicates.length > 0) {
+      const duplicatePages = duplicates.flat();
+      return {
+        message: `${duplicatePages.length} pages share the same title (${listPages(duplicatePages)}) - Google cannot tell them apart`,
+        factor: duplicatePages.length / pages.length
+      };
+    }
+  },
+
+  'missing-h2': ({ $ }) => {
+    if ($('h2').length === 0) {
+      return 'No section headings (H2) - poor content structure for Google';
+    }
+  },
+
+  'missing-canonical': ({ $ }) => {
+    if (!$('link[rel="canonical"]').attr('href')) {
+      return 'Missing canonical URL - Google may penalize for duplicate content';
+    }
+  },
+
+  'missing-robots-meta': ({ $ }) => {
+    if (!$('meta[name="robots"]').attr('content')) {
+      return 'Missing robots directive - unclear Google indexing instructions';
+    }
+  },
+
+  'robots-blocked': ({ $ }) => {
+    const robotsMeta = $('meta[name="robots"]').attr('content');
+    if (robotsMeta && (robotsMeta.includes('noindex') || robotsMeta.includes('nofollow'))) {
+      return `Website blocked from Google search results: ${robotsMeta}`;
+    }
+  },
+
+  'missing-schema': ({ $ }) => {
+    if ($('script[type="application/ld+json"]').length === 0) {
+      return 'Missing business schema markup - reduced Google search features';
+    }
+  },
+
+  // Structured data (see local-business.js)
+  'invalid-structured-data': ({ structuredData }) => {
+    if (structuredData.invalidBlocks > 0) {
+      return `${structuredData.invalidBlocks} structured data block(s) contain invalid JSON - Google ignores them`;
+    }
+  },
+
+  'missing-local-business-schema': ({ structuredData }) => {
+    if (structuredData.blocks > structuredData.invalidBlocks && !structuredData.business) {
+      return 'Structured data does not describe the business (no LocalBusiness or Organization) - missing from Google local features';
+    }
+  },
+
+  'incomplete-business-schema': ({ structuredData }, { fields = 5 }) => {
+    const { business, missingFields } = structuredData;
+    if (business && missingFields.length > 0) {
+      return {
+        message: `Business schema markup is missing ${missingFields.join(', ')} - Google cannot show full business details`,
+        factor: missingFields.length / fields
+      };
+    }
+  },
+
+  // NAP consistency - only runs when the Google Maps listing was passed in
+  'nap-phone-mismatch': ({ nap }) => {
+    const mismatch = nap && nap.mismatches.find(item => item.field === 'phone');
+    if (mismatch) {
+      return `Phone number on Google Maps (${mismatch.maps}) does not appear on the website (${mismatch.website}) - inconsistent listings hurt local rankings`;
+    }
+  },
+
+  'nap-address-mismatch': ({ nap }) => {
+    const mismatch = nap && nap.mismatches.find(item => item.field === 'address');
+    if (!mismatch) return;
+    if (!mismatch.website) {
+      return {
+        message: `Address on Google Maps (${mismatch.maps}) does not appear on the website - customers and Google can't confirm your location`,
+        factor: 0.5
+      };
+    }
+    return `Address on Google Maps (${mismatch.maps}) differs from the website (${mismatch.website}) - inconsistent listings hurt local rankings`;
+  },
+
+  'nap-name-mismatch': ({ nap }) => {
+    const mismatch = nap && nap.mismatches.find(item => item.field === 'name');
+    if (mismatch) {
+      return `Business name on Google Maps (${mismatch.maps}) differs from the website's schema markup (${mismatch.website})`;
+    }
+  },
+
+  'missing-open-graph': ({ $ }) => {
+    const ogTitle = $('meta[property="og:title"]').attr('content');
+    const ogDescription = $('meta[property="og:description"]').attr('content');
+    const ogImage = $('meta[property="og:image"]').attr('content');
+    if (!ogTitle || !ogDescription || !ogImage) {
+      return 'Poor social media sharing - no preview images or text on Facebook/LinkedIn';
+    }
+  },
+
+  // robots.txt and sitemap rules only run when the audit could reach the site
+  'missing-robots-txt': ({ robots }) => {
+    if (robots && robots.robotsTxt === 'missing') {
+      return 'Missing robots.txt file - no crawling instructions or sitemap location for Google';
+    }
+  },
+
+  'robots-txt-blocks-site': ({ robots }) => {
+    if (robots && robots.blocksWholeSite) {
+      return 'robots.txt blocks Google from crawling the entire website - it cannot appear in search results';
+    }
+  },
+
+  'robots-txt-blocks-key-pages': ({ robots }) => {
+    if (robots && !robots.blocksWholeSite && robots.blockedPages.length > 0) {
+      return `robots.txt blocks Google from key pages (${listPages(robots.blockedPages.map(url => ({ url })))}) - customers cannot find them in search`;
+    }
+  },
+
+  'missing-sitemap': ({ robots }) => {
+    if (!robots || robots.robotsTxt === 'error' || robots.sitemaps.length > 0) return;
+    if (robots.unreachableSitemaps.length > 0) {
+      return `Sitemap listed in robots.txt cannot be loaded (${robots.unreachableSitemaps.map(sitemap => sitemap.url).join(', ')}) - Google may miss pages`;
+    }
+    return 'Missing XML sitemap - Google may miss pages on your website';
+  },
+
+  'sitemap-broken-urls': ({ robots }) => {
+    if (robots && robots.brokenUrls.length > 0) {
+      return {
+        message: `${robots.brokenUrls.length} of ${robots.checkedUrls} sitemap pages checked are broken (${listPages(robots.brokenUrls)}) - Google finds dead pages`,
+        factor: robots.brokenUrls.length / robots.checkedUrls
+      };
+    }
+  },
+
+  'sitemap-redirecting-urls': ({ robots }) => {
+    if (robots && robots.redirectingUrls.length > 0) {
+      return {
+        message: `${robots.redirectingUrls.length} of ${robots.checkedUrls} sitemap pages checked redirect elsewhere (${listPages(robots.redirectingUrls)}) - outdated sitemap wastes Google's crawl`,
+        factor: robots.redirectingUrls.length / robots.checkedUrls
+      };
+    }
+  },
+
+  'missing-viewport-meta': ({ $ }) => {
+    if (!$('meta[name="viewport"]').attr('content')) {
+      return 'Missing mobile viewport - Google penalizes non-mobile-friendly sites';
+    }
+  },
+
+  // Content
+  'missing-alt-text': ({ $ }, { maxMissingPercent = 30 }) => {
+    const images = $('img').toArray();
+    const imagesWithoutAlt = images.filter(img => !$(img).attr('alt'));
+    if (imagesWithoutAlt.length > 0 && images.length > 0) {
+      const percentage = Math.round((imagesWithoutAlt.length / images.length) * 100);
+      if (percentage > maxMissingPercent) {
+        return `${percentage}% of images lack descriptions - hurting Google image search rankings`;
+      }
+    }
+  },
+
+  'no-social-links': ({ $ }) => {
+    if ($(SOCIAL_LINK_SELECTOR).length === 0) {
+      return 'No social media links - missing opportunities for customer engagement and referrals';
+    }
+  },
+
+  'outdated-copyright': ({ $ }, { maxAgeYears = 1 }) => {
+    const copyrightText = $('.footer, footer, .copyright, [class*="copyright"]').text();
+    if (!copyrightText) return;
+
+    const currentYear = new Date().getFullYear();
+    const copyrightYear = copyrightText.match(/\b(19|20)\d{2}\b/g);
+    if (copyrightYear && Math.max(...copyrightYear) < currentYear - maxAgeYears) {
+      return `Outdated copyright (${Math.max(...copyrightYear)}) makes business appear inactive or abandoned`;
+    }
+  },
+
+  // Only penalize if there's a significant number of broken images
+  'broken-images': (facts, { minCount = 3, fullPenaltyCount = 5 }) => {
+    const { total } = facts.brokenImages;
+    if (total >= minCount) {
+      return {
+        message: `${total} broken or unloaded images affect website appearance`,
+        factor: total / fullPenaltyCount
+      };
+    }
+  },
+
+  // Links of the evaluated pages, from link-checker.js - only the first of each kind is spelled out
+  'broken-links': ({ links }, { fullPenaltyCount = 5 }) => {
+    if (links && links.broken.length > 0) {
+      const [first] = links.broken;
+      return {
+        message: `${links.broken.length} broken links (${describeLink(first, first.status === 'error' ? 'unreachable' : first.status)}${
+          links.broken.length > 1 ? ` and ${links.broken.length - 1} more` : ''}) - visitors hit dead ends`,
+        factor: links.broken.length / fullPenaltyCount
+      };
+    }
+  },
+
+  'redirect-loops': ({ links }) => {
+    if (links && links.redirectLoops.length > 0) {
+      const [first] = links.redirectLoops;
+      return `${links.redirectLoops.length} links redirect in a loop (${describeLink(first)}${
+        links.redirectLoops.length > 1 ? ` and ${links.redirectLoops.length - 1} more` : ''}) - the page never loads for visitors or Google`;
+    }
+  },
+
+  'dead-social-profiles': ({ links }) => {
+    if (links && links.deadSocialProfiles.length > 0) {
+      const [first] = links.deadSocialProfiles;
+      return `Links to social profiles that no longer exist (${describeLink(first, first.reason)}${
+        links.deadSocialProfiles.length > 1 ? ` and ${links.deadSocialProfiles.length - 1} more` : ''}) - the business looks abandoned`;
+    }
+  },
+
+  // Copy quality across the evaluated pages, from content-quality.js
+  'placeholder-text': ({ contentQuality }) => {
+    if (contentQuality && contentQuality.placeholders.length > 0) {
+      const [first] = contentQuality.placeholders;
+      return `Template placeholder text left on the live site ("${first.text}" on ${listPages([first])}${
+        contentQuality.placeholders.length > 1 ? ` and ${contentQuality.placeholders.length - 1} more` : ''}) - looks unfinished to customers`;
+    }
+  },
+
+  'thin-content': ({ contentQuality }) => {
+    const thin = contentQuality ? contentQuality.pages.filter(page => page.thin) : [];
+    if (thin.length > 0) {
+      return {
+        message: thin.length === 1 && contentQuality.pages.length === 1
+          ? `Only ${thin[0].wordCount} words on the page - too little for Google to rank it`
+          : `Thin content on ${thin.length} of ${contentQuality.pages.length} pages (${thin.map(page => `${listPages([page])}: ${page.wordCount} words`).join(', ')})`,
+        factor: thin.length / contentQuality.pages.length
+      };
+    }
+  },
+
+  'duplicate-content': ({ contentQuality }, { fullPenaltyCount = 5 }) => {
+    if (contentQuality && contentQuality.duplicates.length > 0) {
+      return {
+        message: `${contentQuality.duplicates.length} paragraphs are copy-pasted between pages (${listPages(contentQuality.duplicates[0].urls.map(url => ({ url })))}) - Google ranks duplicate copy lower`,
+        factor: contentQuality.duplicates.length / fullPenaltyCount
+      };
+    }
+  },
+
+  'hard-to-read': ({ contentQuality }, { maxGrade = 12 }) => {
+    if (contentQuality && contentQuality.readingGrade !== null && contentQuality.readingGrade > maxGrade) {
+      return `Copy reads at grade ${contentQuality.readingGrade} level - most customers skim past text this dense`;
+    }
+  },
+
+  'city-not-mentioned': ({ contentQuality }) => {
+    if (contentQuality && contentQuality.city && !contentQuality.city.mentioned) {
+      return `${contentQuality.city.name} is never mentioned in the website copy - Google can't tell you serve this area`;
+    }
+  },
+
+  'category-not-mentioned': ({ contentQuality }) => {
+    if (contentQuality && contentQuality.category && !contentQuality.category.mentioned) {
+      return `The website copy never says what you do ("${contentQuality.category.name}") - missing the searches customers make`;
+    }
+  },
+
+  // Accessibility - one rule per WCAG criterion from accessibility-audit.js
+  'low-contrast-text': ({ accessibility }, { fullPenaltyCount = 10 }) => {
+    const group = findCriterion(accessibility, '1.4.3');
+    if (group) {
+      return {
+        message: `${group.count} text elements fail WCAG color contrast (${group.examples[0]}) - hard to read for visually impaired visitors`,
+        factor: group.count / fullPenaltyCount
+      };
+    }
+  },
+
+  'unlabeled-form-controls': ({ accessibility }, { fullPenaltyCount = 3 }) => {
+    const group = findCriterion(accessibility, '3.3.2');
+    if (group) {
+      return {
+        message: `${group.count} form fields have no label - screen reader users cannot fill in your forms`,
+        factor: group.count / fullPenaltyCount
+      };
+    }
+  },
+
+  'missing-landmarks': ({ accessibility }) => {
+    const group = findCriterion(accessibility, '1.3.1');
+    if (group) {
+      return {
+        message: `Page structure not marked up for screen readers (${group.examples.join(', ')})`,
+        factor: group.count / 4
+      };
+    }
+  },
+
+  'empty-links': ({ accessibility }, { fullPenaltyCount = 5 }) => {
+    const group = findCriterion(accessibility, '2.4.4');
+    if (group) {
+      return {
+        message: `${group.count} links have no readable text - screen readers announce them as just "link"`,
+        factor: group.count / fullPenaltyCount
+      };
+    }
+  },
+
+  'empty-buttons': ({ accessibility }, { fullPenaltyCount = 3 }) => {
+    const group = findCriterion(accessibility, '4.1.2');
+    if (group) {
+      return {
+        message: `${group.count} buttons have no readable name - screen reader users cannot tell what they do`,
+        factor: group.count / fullPenaltyCount
+      };
+    }
+  },
+
+  'missing-page-language': ({ accessibility }) => {
+    if (findCriterion(accessibility, '3.1.1')) {
+      return 'Page language not declared - screen readers may mispronounce your content';
+    }
+  },
+
+  'keyboard-trap': ({ accessibility }) => {
+    const group = findCriterion(accessibility, '2.1.2');
+    if (group) {
+      return `Keyboard users get stuck at ${group.examples[0]} - a common ADA compliance complaint`;
+    }
+  },
+
+  // Design - dated markup and styling from design-age.js
+  'table-layout': designCheck('table-layout', 'a 2000s-era technique that breaks on phones'),
+  'fixed-width-layout': designCheck('fixed-width-layout', 'the site looks boxed-in and old on modern screens'),
+  'flash-content': designCheck('flash-content', 'no current browser can show it'),
+  'marquee-blink': designCheck('marquee-blink', 'instantly dates the site'),
+  'frames': designCheck('frames', 'breaks bookmarks, search results and phones'),
+  'tiny-font': designCheck('tiny-font', 'hard to read and looks dated'),
+  'web-safe-fonts': designCheck('web-safe-fonts', 'the typography looks generic and old'),
+  'no-flex-grid': designCheck('no-flex-grid', 'the layout predates modern CSS'),
+  'autoplay-audio': designCheck('autoplay-audio', 'visitors leave when sound starts playing'),
+
+  // Conversion - from conversion-audit.js
+  'no-cta-above-fold-desktop': ({ conversion }) => {
+    if (conversion && conversion.ctaAboveFold && !conversion.ctaAboveFold.desktop) {
+      return 'No call-to-action visible without scrolling on desktop - visitors are not told what to do next';
+    }
+  },
+
+  'no-cta-above-fold-mobile': ({ conversion }) => {
+    if (conversion && conversion.ctaAboveFold && !conversion.ctaAboveFold.mobile) {
+      return 'No call-to-action on the first screen on phones - mobile visitors leave without contacting you';
+    }
+  },
+
+  'no-one-tap-action': ({ conversion }) => {
+    if (conversion && conversion.ctaAboveFold && !conversion.oneTapAction) {
+      return 'No call or booking button within one tap on mobile - customers ready to buy have to hunt for it';
+    }
+  },
+
+  'phone-not-tappable': ({ conversion }) => {
+    if (conversion && conversion.phones.untappable.length > 0) {
+      return `Phone number ${conversion.phones.untappable.join(', ')} is not a tap-to-call link - mobile visitors have to copy it by hand`;
+    }
+  },
+
+  'no-lead-capture': ({ conversion }) => {
+    if (conversion && conversion.booking.length === 0 && conversion.chat.length === 0 && !conversion.quoteForm) {
+      return 'No online booking, live chat or quote form - leads outside office hours are lost';
+    }
+  },
+
+  // Contact
+  // Passes when any evaluated page (e.g. /contact) has a phone number, email or form
+  'no-contact-method': ({ pages }) => {
+    const hasContactMethod = pages.some(page => page.hasPhone || page.hasEmail || page.hasContactForm);
+    if (!hasContactMethod) {
+      return pages.length > 1
+        ? `No clear contact method on any of ${pages.length} pages checked - potential customers cannot reach you easily`
+        : 'No clear contact method - potential customers cannot reach you easily';
+    }
+  }
+};
+
+module.exports = { RULE_CHECKS, SOCIAL_LINK_SELECTOR };